@@ -5,35 +5,82 @@
  *
  * Usage:
  *   npx eslint-baseline [options] [files...]
+ *   npx eslint-baseline <command> [options]
  *
  * Examples:
  *   npx eslint-baseline                    # Lint with baseline
  *   npx eslint-baseline --update           # Generate/update baseline
- *   npx eslint-baseline --update src/      # Generate baseline for src/
+ *   npx eslint-baseline --update src/      # Update baseline entries for src/ only
+ *   npx eslint-baseline --since origin/main  # Lint files changed since main
  *   npx eslint-baseline --split-by-rule    # Split baseline by rule
+ *   npx eslint-baseline migrate            # Upgrade baseline to the current schema
+ *   npx eslint-baseline diff origin/main   # Compare with the baseline on main
+ *   npx eslint-baseline history            # Burn-down of the baseline from git log
+ *   npx eslint-baseline install-merge-driver  # Merge baselines semantically in git
  */
 
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
-const { Baseline } = require('../src/core/baseline');
+const {
+    Baseline,
+    MATCHING_MODES,
+    SPLIT_STRATEGIES,
+    CURRENT_VERSION,
+    DEFAULT_BASELINE_FILE,
+} = require('../src/core/baseline');
 const { Reporter } = require('../src/core/reporter');
-const { createFormatter } = require('../src/formatter');
+const { createFormatter, checkBudgets } = require('../src/formatter');
+const { findRenamesSinceBaseline, getChangedFiles } = require('../src/core/git');
+const { mergeFiles, installMergeDriver } = require('../src/core/merge');
+const { checkRatchet } = require('../src/core/ratchet');
+const { checkBoyScout } = require('../src/core/boyscout');
+const { loadSide, diffBaselines } = require('../src/core/diff');
+const { getHistory, historyToCsv } = require('../src/core/history');
+const { getSerializer, FORMATS } = require('../src/core/serializers');
+const {
+    isInside,
+    createBaselineResolver,
+    groupResultsByBaseline,
+    getBaselineName,
+} = require('../src/core/workspaces');
 
 // Parse arguments
 const args = process.argv.slice(2);
 
+const COMMANDS = ['migrate', 'diff', 'history', 'merge-driver', 'install-merge-driver'];
+
+// Changed files linted with --since/--staged under eslintrc configs, which lint any file they're given
+const LINTABLE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx', '.vue', '.svelte', '.astro'];
+
 const options = {
+    command: null,
     update: false,
+    ratchet: false,
+    ratchetRef: null,
+    boyScout: null,
+    boyScoutThreshold: 0,
     prune: false,
+    since: null,
+    staged: false,
     stats: false,
     clean: false,
     suppressRules: [],
-    baselineFile: '.eslintbaseline.json',
-    splitByRule: false,
+    baselineFile: null,
+    splitBy: null,
+    format: null,
+    matching: null,
     allowEmpty: false,
     reportUnmatched: false,
+    followRenames: true,
+    failOnEscalation: false,
+    failOnExpired: false,
+    tightenBudgets: false,
+    workspaces: false,
+    strictManifest: false,
     verbose: false,
+    json: false,
+    csv: false,
     color: process.stdout.isTTY !== false,
     help: false,
     version: false,
@@ -43,6 +90,12 @@ const options = {
 
 // Parse CLI arguments
 let i = 0;
+
+if (COMMANDS.includes(args[0])) {
+    options.command = args[0];
+    i = 1;
+}
+
 while (i < args.length) {
     const arg = args[i];
 
@@ -52,6 +105,23 @@ while (i < args.length) {
             options.update = true;
             break;
 
+        case '--ratchet':
+            options.update = true;
+            options.ratchet = true;
+            break;
+
+        case '--ratchet-ref':
+            options.ratchetRef = args[++i];
+            break;
+
+        case '--boy-scout':
+            options.boyScout = args[++i];
+            break;
+
+        case '--boy-scout-threshold':
+            options.boyScoutThreshold = Number(args[++i]);
+            break;
+
         case '--baseline-file':
         case '-b':
             options.baselineFile = args[++i];
@@ -59,7 +129,20 @@ while (i < args.length) {
 
         case '--split-by-rule':
         case '-s':
-            options.splitByRule = true;
+            options.splitBy = 'rule';
+            break;
+
+        case '--split-by':
+            options.splitBy = args[++i];
+            break;
+
+        case '--baseline-format':
+            options.format = args[++i];
+            break;
+
+        case '--matching':
+        case '-m':
+            options.matching = args[++i];
             break;
 
         case '--allow-empty':
@@ -71,11 +154,44 @@ while (i < args.length) {
             options.reportUnmatched = true;
             break;
 
+        case '--no-follow-renames':
+            options.followRenames = false;
+            break;
+
+        case '--fail-on-escalation':
+            options.failOnEscalation = true;
+            break;
+
+        case '--fail-on-expired':
+            options.failOnExpired = true;
+            break;
+
+        case '--tighten-budgets':
+            options.tightenBudgets = true;
+            break;
+
+        case '--strict-manifest':
+            options.strictManifest = true;
+            break;
+
+        case '--workspaces':
+        case '-w':
+            options.workspaces = true;
+            break;
+
         case '--prune':
         case '-p':
             options.prune = true;
             break;
 
+        case '--since':
+            options.since = args[++i];
+            break;
+
+        case '--staged':
+            options.staged = true;
+            break;
+
         case '--stats':
             options.stats = true;
             break;
@@ -97,6 +213,14 @@ while (i < args.length) {
             options.color = false;
             break;
 
+        case '--json':
+            options.json = true;
+            break;
+
+        case '--csv':
+            options.csv = true;
+            break;
+
         case '--help':
         case '-h':
             options.help = true;
@@ -132,19 +256,53 @@ ESLint Baseline - Ignore existing errors, report only new ones
 
 Usage:
   npx eslint-baseline [options] [files...]
+  npx eslint-baseline <command> [options]
+
+Commands:
+  migrate                  Rewrite the baseline in the current schema version
+  diff <a> [b]             Entries added, removed and moved between two baselines
+                           (files, split directories or git revisions; b defaults
+                           to the working baseline)
+  history                  Errors per commit of the baseline (burn-down from git log)
+  install-merge-driver     Register the baseline merge driver (git config, .gitattributes)
+  merge-driver %O %A %B %P Three-way merge of baseline files (run by git)
 
 Options:
   -u, --update             Generate or update the baseline file
+  --ratchet                Update that only removes fixed entries; new errors
+                           are refused and fail the run
+  --ratchet-ref <ref>      Fail if any rule has more baseline entries than at
+                           a git revision (without running ESLint)
+  --boy-scout <ref>        Fail unless every file modified since the merge base
+                           with ref has fewer baseline entries (without running ESLint)
+  --boy-scout-threshold <percent>
+                           Minimum reduction for --boy-scout (default: any)
   -p, --prune              Remove fixed errors from baseline
+  --since <ref>            Only lint files changed since a git revision
+                           (from its merge base, including uncommitted files)
+  --staged                 Only lint files staged for commit
   --stats                  Show detailed baseline statistics
   --clean                  Delete the baseline file
   --suppress-rule <rule>   Only baseline specific rule (can be repeated)
-  -b, --baseline-file      Baseline file path (default: .eslintbaseline.json)
+  -b, --baseline-file      Baseline file path (default: nearest .eslintbaseline.json)
   -s, --split-by-rule      Split baseline into multiple files by rule
+  --split-by <strategy>    Split baseline by rule, dir (top-level) or file
+  --baseline-format <fmt>  File format: json, ndjson, yaml or compact
+                           (default: from the file extension)
+  -m, --matching <mode>    Matching mode: line, context or count
+                           (default: the mode the baseline was saved with, else line)
   --allow-empty            Allow generating an empty baseline
   -r, --report-unmatched   Report baseline entries that no longer match
+  --no-follow-renames      Don't carry entries over to files renamed in git
+  --fail-on-escalation     Report baselined warnings that became errors as new
+  --fail-on-expired        Report messages of entries past their expires date as new
+  -w, --workspaces         One baseline per package (monorepos)
+  --tighten-budgets        Lower budgets in .eslintbaselinerc.json to the current counts
+  --strict-manifest        Fail when split baseline files don't match _loader.json
   -v, --verbose            Verbose output
   --no-color               Disable colored output
+  --json                   JSON output (diff, history)
+  --csv                    CSV output (history)
   -h, --help               Show this help message
   --version                Show version
   --                       Pass remaining arguments to ESLint
@@ -152,12 +310,26 @@ Options:
 Examples:
   npx eslint-baseline                          # Lint with baseline
   npx eslint-baseline --update                 # Generate baseline
-  npx eslint-baseline --update src/            # Generate for src/ only
+  npx eslint-baseline --update src/            # Update src/ entries only
   npx eslint-baseline --prune                  # Remove fixed errors
+  npx eslint-baseline --since origin/main      # CI: lint changed files only
+  npx eslint-baseline --staged                 # Pre-commit hook
+  npx eslint-baseline --ratchet                # Update, but never add entries
+  npx eslint-baseline --ratchet-ref origin/main  # Baseline didn't grow since main
+  npx eslint-baseline --boy-scout origin/main  # Touched files have fewer entries
   npx eslint-baseline --stats                  # Show statistics
   npx eslint-baseline --suppress-rule no-console --update
   npx eslint-baseline --split-by-rule          # Use split baseline
+  npx eslint-baseline --split-by dir -u        # One file per top-level directory
+  npx eslint-baseline -b .eslintbaseline.ndjson -u  # One entry per line
+  npx eslint-baseline --matching context -u    # Tolerate line shifts
+  npx eslint-baseline --matching count -u      # PHPStan-style counts
+  npx eslint-baseline --workspaces -u          # Update each package's baseline
   npx eslint-baseline -- --fix                 # Pass --fix to ESLint
+  npx eslint-baseline migrate                  # Upgrade an old baseline file
+  npx eslint-baseline diff origin/main         # Baseline changes since main
+  npx eslint-baseline diff HEAD~5 HEAD --json  # Machine-readable diff
+  npx eslint-baseline history --csv > debt.csv # Burn-down for a spreadsheet
 
 Environment:
   Reads ESLint configuration from eslint.config.js or .eslintrc.*
@@ -172,6 +344,26 @@ if (options.version) {
     process.exit(0);
 }
 
+if (options.matching && !MATCHING_MODES.includes(options.matching)) {
+    console.error(`Unknown matching mode: ${options.matching} (expected ${MATCHING_MODES.join(', ')})`);
+    process.exit(2);
+}
+
+if (options.format && !FORMATS.includes(options.format)) {
+    console.error(`Unknown baseline format: ${options.format} (expected ${FORMATS.join(', ')})`);
+    process.exit(2);
+}
+
+if (!(options.boyScoutThreshold >= 0 && options.boyScoutThreshold <= 100)) {
+    console.error('Invalid --boy-scout-threshold: expected a percentage between 0 and 100');
+    process.exit(2);
+}
+
+if (options.splitBy && !SPLIT_STRATEGIES.includes(options.splitBy)) {
+    console.error(`Unknown split strategy: ${options.splitBy} (expected ${SPLIT_STRATEGIES.join(', ')})`);
+    process.exit(2);
+}
+
 // Color helpers
 const c = {
     reset: options.color ? '\x1b[0m' : '',
@@ -188,10 +380,35 @@ const c = {
 async function run() {
     const cwd = process.cwd();
 
+    // Handle merge-driver command (run by git, before anything else)
+    if (options.command === 'merge-driver') {
+        runMergeDriver(options.files);
+    }
+
+    // Default file name, with the extension of --baseline-format
+    const defaultFile = options.format
+        ? DEFAULT_BASELINE_FILE.replace(/\.json$/, getSerializer(options.format).extensions[0])
+        : DEFAULT_BASELINE_FILE;
+
+    // Name of the baseline file of each package (--workspaces)
+    const baselineName = options.baselineFile ? path.basename(options.baselineFile) : defaultFile;
+
+    // Without --baseline-file, use the nearest baseline in cwd or its ancestors
+    const baselineFile = options.baselineFile
+        || Baseline.find(cwd, defaultFile, { splitBy: options.splitBy })
+        || defaultFile;
+
     const baseline = new Baseline({
         cwd,
-        baselineFile: options.baselineFile,
-        splitByRule: options.splitByRule,
+        baselineFile,
+        splitBy: options.splitBy,
+        matching: options.matching,
+        format: options.format,
+    });
+
+    const reporter = new Reporter({
+        color: options.color,
+        verbose: options.verbose,
     });
 
     // Handle --clean
@@ -205,6 +422,36 @@ async function run() {
         process.exit(0);
     }
 
+    // Handle migrate command
+    if (options.command === 'migrate') {
+        runMigrate(baseline);
+    }
+
+    // Handle install-merge-driver command
+    if (options.command === 'install-merge-driver') {
+        runInstallMergeDriver(baseline);
+    }
+
+    // Handle diff command
+    if (options.command === 'diff') {
+        runDiff(baseline, reporter, options.files);
+    }
+
+    // Handle history command
+    if (options.command === 'history') {
+        runHistory(baseline, reporter);
+    }
+
+    // Handle --ratchet-ref (without running ESLint)
+    if (options.ratchetRef) {
+        runRatchetCheck(baseline, reporter, options.ratchetRef);
+    }
+
+    // Handle --boy-scout (without running ESLint)
+    if (options.boyScout) {
+        runBoyScoutCheck(baseline, reporter, options.boyScout);
+    }
+
     // Handle --stats (without running ESLint)
     if (options.stats && !options.update && !options.prune) {
         if (!baseline.exists()) {
@@ -219,7 +466,21 @@ async function run() {
     }
 
     // Determine files to lint
-    const files = options.files.length > 0 ? options.files : ['.'];
+    let files = options.files.length > 0 ? options.files : ['.'];
+
+    // --since/--staged: only the changed files (within the given files/directories)
+    if (options.since || options.staged) {
+        // Baselines change on every update, but aren't sources
+        const isBaseline = (filePath) => isInside(filePath, baseline.getStoragePath())
+            || (options.workspaces && path.basename(filePath) === baselineName);
+
+        files = await listChangedFiles(cwd, files, isBaseline);
+
+        if (files.length === 0) {
+            console.log(`${c.green}No changed files to lint.${c.reset}`);
+            process.exit(0);
+        }
+    }
 
     // Build ESLint arguments
     const eslintArgs = [
@@ -251,42 +512,58 @@ async function run() {
         process.exit(eslintResult.exitCode || 1);
     }
 
-    // Convert results to error map
-    const currentErrors = {};
-    for (const result of results) {
-        if (result.messages.length === 0) continue;
-        const relativePath = path.relative(cwd, result.filePath);
-        currentErrors[relativePath] = result.messages
-            .filter((m) => m.ruleId)
-            .map((m) => ({
-                ruleId: m.ruleId,
-                line: m.line,
-                column: m.column,
-                message: m.message,
-                severity: m.severity,
-            }));
+    // Changed files ESLint ignores (ignore patterns, no matching config) are not new warnings
+    if (options.since || options.staged) {
+        results = results.filter((result) => !isIgnoredResult(result));
     }
 
+    // Files renamed since a baseline was last committed
+    const findRenames = (target) => (options.followRenames && target.exists()
+        ? findRenamesSinceBaseline(target.getRootDir(), target.getStoragePath())
+        : new Map());
+
     // Handle --prune
     if (options.prune) {
-        if (!baseline.exists()) {
-            console.log(`${c.yellow}No baseline file found. Nothing to prune.${c.reset}`);
-            process.exit(0);
-        }
+        const groups = options.workspaces
+            ? groupResultsByBaseline(results, createBaselineResolver({
+                cwd,
+                baselineFile: baselineName,
+                splitBy: options.splitBy,
+            }))
+            : new Map([[baseline.getBaselinePath(), results]]);
+
+        let pruned = 0;
+        let exitCode = 0;
+
+        for (const [baselinePath, groupResults] of groups) {
+            const target = options.workspaces
+                ? new Baseline({
+                    cwd,
+                    baselineFile: baselinePath,
+                    splitBy: options.splitBy,
+                    matching: options.matching,
+                    format: options.format,
+                })
+                : baseline;
+
+            if (!target.exists()) {
+                continue;
+            }
 
-        baseline.load();
-        const pruneResult = baseline.prune(currentErrors);
+            if (options.workspaces) {
+                process.stdout.write(reporter.formatHeading(getBaselineName(baselinePath, cwd)));
+            }
 
-        if (pruneResult.removedCount === 0) {
-            console.log(`${c.green}Baseline is already up to date. No entries to prune.${c.reset}`);
-        } else {
-            baseline.save(pruneResult.data, { allowEmpty: true });
-            console.log(`${c.green}${c.bold}Baseline pruned!${c.reset}`);
-            console.log(`  ${c.red}${pruneResult.removedCount}${c.reset} entries removed (fixed errors)`);
-            console.log(`  ${c.cyan}${pruneResult.keptCount}${c.reset} entries kept`);
+            exitCode = Math.max(exitCode, pruneBaseline(target, groupResults, cwd, reporter, findRenames(target)));
+            pruned++;
+        }
+
+        if (pruned === 0) {
+            console.log(`${c.yellow}No baseline file found. Nothing to prune.${c.reset}`);
+            process.exit(0);
         }
 
-        if (options.stats) {
+        if (options.stats && !options.workspaces) {
             baseline.reset();
             baseline.load();
             const stats = baseline.getDetailedStats();
@@ -294,44 +571,36 @@ async function run() {
             printStats(stats);
         }
 
-        process.exit(0);
+        process.exit(exitCode);
     }
 
-    // Handle --suppress-rule (filter to specific rules)
-    let errorsToBaseline = currentErrors;
     if (options.suppressRules.length > 0 && options.update) {
-        errorsToBaseline = baseline.filterByRules(currentErrors, options.suppressRules);
-
-        // If updating with specific rules, merge with existing baseline
-        if (baseline.exists()) {
-            baseline.load();
-            for (const [file, errors] of Object.entries(baseline.data)) {
-                // Keep existing errors that are NOT in the suppress-rule list
-                const existingOtherRules = errors.filter(
-                    (e) => !options.suppressRules.includes(e.ruleId)
-                );
-                if (existingOtherRules.length > 0) {
-                    if (!errorsToBaseline[file]) {
-                        errorsToBaseline[file] = [];
-                    }
-                    errorsToBaseline[file].push(...existingOtherRules);
-                }
-            }
-        }
-
         console.log(`${c.dim}Suppressing rules: ${options.suppressRules.join(', ')}${c.reset}\n`);
     }
 
     // Create formatter with options
     const formatter = createFormatter({
         update: options.update,
-        baselineFile: options.baselineFile,
-        splitByRule: options.splitByRule,
+        baselineFile: options.workspaces ? baselineName : baseline.getBaselinePath(),
+        splitBy: options.splitBy,
+        matching: options.matching,
+        format: options.format,
         allowEmpty: options.allowEmpty,
         reportUnmatched: options.reportUnmatched,
         color: options.color,
         verbose: options.verbose,
-        errorsToBaseline: options.suppressRules.length > 0 ? errorsToBaseline : null,
+        renames: findRenames,
+        failOnEscalation: options.failOnEscalation,
+        failOnExpired: options.failOnExpired,
+        ratchet: options.ratchet,
+        tightenBudgets: options.tightenBudgets,
+        // Only the linted files are known when files/directories are given,
+        // when linting changed files, or when running below the directory of the baseline
+        scoped: options.files.length > 0 || Boolean(options.since) || options.staged
+            || (!options.workspaces && !isInside(baseline.getRootDir(), cwd)),
+        suppressRules: options.suppressRules,
+        workspaces: options.workspaces,
+        strictManifest: options.strictManifest,
     });
 
     // Format results
@@ -340,7 +609,7 @@ async function run() {
     console.log(output);
 
     // Show stats after update if requested
-    if (options.stats && options.update) {
+    if (options.stats && options.update && !options.workspaces) {
         baseline.reset();
         baseline.load();
         const stats = baseline.getDetailedStats();
@@ -351,6 +620,336 @@ async function run() {
     process.exit(exitCode);
 }
 
+/**
+ * List the changed files to lint (--since/--staged)
+ * @param {string} cwd
+ * @param {string[]} targets - Files/directories the changed files must be in
+ * @param {function(string): boolean} isBaseline - Whether an absolute path belongs to a baseline
+ * @returns {Promise<string[]>} Paths relative to cwd
+ */
+async function listChangedFiles(cwd, targets, isBaseline) {
+    const changed = getChangedFiles(cwd, { since: options.since, staged: options.staged });
+
+    if (changed === null) {
+        const reason = options.staged ? 'not a git repository' : `unknown git revision "${options.since}"`;
+        console.error(`${c.red}Could not list changed files: ${reason}${c.reset}`);
+        process.exit(2);
+    }
+
+    const roots = targets.map((target) => path.resolve(cwd, target));
+    const files = changed.filter((file) => {
+        const filePath = path.resolve(cwd, file);
+
+        return fs.existsSync(filePath)
+            && roots.some((root) => isInside(filePath, root))
+            && !isBaseline(filePath);
+    });
+
+    return filterLintableFiles(cwd, files);
+}
+
+/**
+ * Keep the files ESLint would lint when walking a directory
+ *
+ * ESLint lints every file it's given explicitly: flat configs report files
+ * they have no configuration for as ignored, but eslintrc configs parse them
+ * as JavaScript, so these only get the script extensions.
+ *
+ * @param {string} cwd
+ * @param {string[]} files - Paths relative to cwd
+ * @returns {Promise<string[]>}
+ */
+async function filterLintableFiles(cwd, files) {
+    const eslintPath = findEslint();
+
+    if (!eslintPath || files.length === 0) {
+        return files;
+    }
+
+    let ESLint;
+    try {
+        const api = require(path.join(path.dirname(fs.realpathSync(eslintPath)), '..'));
+        ESLint = api.loadESLint ? await api.loadESLint({ cwd }) : api.ESLint;
+    } catch {
+        // Unsupported ESLint version: leave the files to ESLint
+        return files;
+    }
+
+    const eslint = new ESLint({ cwd });
+    const flat = ESLint.configType === 'flat';
+
+    const lintable = await Promise.all(files.map(async (file) => {
+        if (!flat && !LINTABLE_EXTENSIONS.includes(path.extname(file))) {
+            return false;
+        }
+        try {
+            return !(await eslint.isPathIgnored(file));
+        } catch {
+            return true;
+        }
+    }));
+
+    return files.filter((file, index) => lintable[index]);
+}
+
+/**
+ * Check if ESLint only reported that a file is ignored
+ * @param {Object} result - ESLint result
+ * @returns {boolean}
+ */
+function isIgnoredResult(result) {
+    return result.messages.length === 1
+        && !result.messages[0].ruleId
+        && /^File ignored\b/.test(result.messages[0].message);
+}
+
+/**
+ * Remove fixed errors from a baseline and save it
+ * @param {Baseline} baseline
+ * @param {Array} results - ESLint results of the files belonging to the baseline
+ * @param {string} cwd
+ * @param {Reporter} reporter
+ * @param {Map<string, string>} renames - Renamed files (old path -> new path)
+ * @returns {number} Exit code (1 if the baseline exceeds its budgets)
+ */
+function pruneBaseline(baseline, results, cwd, reporter, renames) {
+    // Convert results to error map
+    const currentErrors = {};
+    for (const result of results) {
+        if (result.messages.length === 0) continue;
+        const relativePath = baseline.relativePath(result.filePath);
+        currentErrors[relativePath] = result.messages
+            .filter((m) => m.ruleId)
+            .map((m) => ({
+                ruleId: m.ruleId,
+                line: m.line,
+                column: m.column,
+                message: m.message,
+                severity: m.severity,
+            }));
+    }
+
+    // Read, prune and save under the lock: concurrent updates can't drop each other's entries
+    baseline.transaction(() => {
+        baseline.load();
+        const renamed = baseline.applyRenames(renames);
+        process.stdout.write(reporter.formatManifestIssues(baseline.manifestIssues));
+        process.stdout.write(reporter.formatRenames(renamed));
+
+        // Only the linted files are known when files/directories are given,
+        // when linting changed files, or when running below the directory of the baseline
+        const scoped = options.files.length > 0 || Boolean(options.since) || options.staged
+            || !isInside(baseline.getRootDir(), cwd);
+
+        // Pruning specific files/directories keeps entries of everything else
+        const pruneResult = baseline.prune(currentErrors, {
+            scope: scoped ? results.map((result) => baseline.relativePath(result.filePath)) : undefined,
+        });
+
+        if (pruneResult.removedCount === 0 && renamed.length === 0) {
+            console.log(`${c.green}Baseline is already up to date. No entries to prune.${c.reset}`);
+        } else {
+            baseline.save(pruneResult.data, { allowEmpty: true });
+            console.log(`${c.green}${c.bold}Baseline pruned!${c.reset}`);
+            console.log(`  ${c.red}${pruneResult.removedCount}${c.reset} entries removed (fixed errors)`);
+            console.log(`  ${c.cyan}${pruneResult.keptCount}${c.reset} entries kept`);
+        }
+    });
+
+    // Budgets apply to the pruned baseline
+    baseline.reset();
+    const { budgets, tightenedBudgets } = checkBudgets(baseline, { tighten: options.tightenBudgets, update: true });
+    const output = reporter.formatBudgets(budgets, tightenedBudgets);
+
+    if (output) {
+        process.stdout.write(`\n${output}`);
+    }
+
+    if (budgets.some((budget) => budget.count > budget.budget)) {
+        process.stdout.write(reporter.formatError('Baseline exceeds its budgets'));
+        return 1;
+    }
+
+    return 0;
+}
+
+/**
+ * Rewrite the baseline in the current schema version
+ * @param {Baseline} baseline
+ */
+function runMigrate(baseline) {
+    if (!baseline.exists()) {
+        console.log(`${c.yellow}No baseline file found. Nothing to migrate.${c.reset}`);
+        process.exit(1);
+    }
+
+    baseline.load();
+    const fromVersion = baseline.version;
+
+    if (fromVersion === null) {
+        console.error(`${c.red}Baseline could not be loaded. Nothing was migrated.${c.reset}`);
+        process.exit(2);
+    }
+
+    if (fromVersion === CURRENT_VERSION) {
+        console.log(`${c.green}Baseline is already at version ${CURRENT_VERSION}.${c.reset}`);
+        process.exit(0);
+    }
+
+    baseline.save(baseline.data, { allowEmpty: true });
+
+    const stats = baseline.getStats();
+    console.log(`${c.green}${c.bold}Baseline migrated!${c.reset}`);
+    console.log(`  Version ${c.cyan}${fromVersion}${c.reset} → ${c.cyan}${CURRENT_VERSION}${c.reset}`);
+    console.log(`  ${c.cyan}${stats.totalErrors}${c.reset} errors in ${c.cyan}${stats.fileCount}${c.reset} files kept`);
+    process.exit(0);
+}
+
+/**
+ * Merge baseline files as a git merge driver
+ *
+ * The result is written to the "ours" file. A non-zero exit code makes git
+ * report a conflict and keep the file as it was.
+ *
+ * @param {string[]} files - Base (%O), ours (%A), theirs (%B) and optionally the merged path (%P)
+ */
+function runMergeDriver(files) {
+    if (files.length !== 3 && files.length !== 4) {
+        console.error('Usage: eslint-baseline merge-driver <base> <ours> <theirs> [<path>]');
+        process.exit(2);
+    }
+
+    try {
+        // The temporary files have no extension: the format comes from the merged path
+        mergeFiles(files[0], files[1], files[2], { format: getSerializer(options.format, files[3]).name });
+    } catch (error) {
+        console.error(`[eslint-baseline] Merge failed: ${error.message}`);
+        process.exit(1);
+    }
+
+    process.exit(0);
+}
+
+/**
+ * Register the merge driver for the baseline
+ * @param {Baseline} baseline
+ */
+function runInstallMergeDriver(baseline) {
+    let result;
+
+    try {
+        result = installMergeDriver(process.cwd(), baseline);
+    } catch {
+        console.error(`${c.red}Not a git repository. The merge driver can't be installed.${c.reset}`);
+        process.exit(2);
+    }
+
+    console.log(`${c.green}${c.bold}Merge driver installed!${c.reset}`);
+    if (result.added.length > 0) {
+        console.log(`  Added to ${c.cyan}${path.relative(process.cwd(), result.attributesPath)}${c.reset}:`);
+        for (const line of result.added) {
+            console.log(`    ${c.dim}${line}${c.reset}`);
+        }
+    }
+    console.log(`  ${c.dim}Each clone runs this command once: git config is not shared.${c.reset}`);
+    process.exit(0);
+}
+
+/**
+ * Compare the baseline with the one at a git revision (--ratchet-ref)
+ * @param {Baseline} baseline
+ * @param {Reporter} reporter
+ * @param {string} ref
+ */
+function runRatchetCheck(baseline, reporter, ref) {
+    let increases;
+
+    try {
+        increases = checkRatchet(baseline, ref);
+    } catch (error) {
+        console.error(`${c.red}Ratchet check failed: ${error.message}${c.reset}`);
+        process.exit(2);
+    }
+
+    process.stdout.write(reporter.formatRatchetCheck(increases, ref));
+    process.exit(increases.length > 0 ? 1 : 0);
+}
+
+/**
+ * Check that the files modified since the merge base with a revision shrank their baseline
+ * @param {Baseline} baseline
+ * @param {Reporter} reporter
+ * @param {string} ref
+ */
+function runBoyScoutCheck(baseline, reporter, ref) {
+    let files;
+
+    try {
+        files = checkBoyScout(baseline, ref, { threshold: options.boyScoutThreshold });
+    } catch (error) {
+        console.error(`${c.red}Boy-scout check failed: ${error.message}${c.reset}`);
+        process.exit(2);
+    }
+
+    process.stdout.write(reporter.formatBoyScout(files, ref, options.boyScoutThreshold));
+    process.exit(files.some(({ passed }) => !passed) ? 1 : 0);
+}
+
+/**
+ * Compare two baselines (files, split directories or git revisions)
+ * @param {Baseline} baseline - Working baseline
+ * @param {Reporter} reporter
+ * @param {string[]} specs - One or two baselines; the second defaults to the working baseline
+ */
+function runDiff(baseline, reporter, specs) {
+    if (specs.length !== 1 && specs.length !== 2) {
+        console.error('Usage: eslint-baseline diff <a> [b]');
+        process.exit(2);
+    }
+
+    const [from, to] = specs;
+    let diff;
+
+    try {
+        diff = diffBaselines(loadSide(baseline, from), loadSide(baseline, to));
+    } catch (error) {
+        console.error(`${c.red}Diff failed: ${error.message}${c.reset}`);
+        process.exit(2);
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify({ from, to: to || null, ...diff }, null, 2));
+    } else {
+        process.stdout.write(reporter.formatDiff(diff, from, to || 'working baseline'));
+    }
+    process.exit(0);
+}
+
+/**
+ * Show the errors of the baseline at each commit that changed it
+ * @param {Baseline} baseline
+ * @param {Reporter} reporter
+ */
+function runHistory(baseline, reporter) {
+    let history;
+
+    try {
+        history = getHistory(baseline);
+    } catch (error) {
+        console.error(`${c.red}History failed: ${error.message}${c.reset}`);
+        process.exit(2);
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(history, null, 2));
+    } else if (options.csv) {
+        process.stdout.write(historyToCsv(history));
+    } else {
+        process.stdout.write(reporter.formatHistory(history));
+    }
+    process.exit(0);
+}
+
 /**
  * Print detailed statistics
  * @param {Object} stats
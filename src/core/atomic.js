@@ -0,0 +1,193 @@
+/**
+ * Crash-safe file operations
+ *
+ * Baselines are written next to their final path and renamed into place,
+ * so readers never see a truncated file. A lock file serializes writers
+ * (e.g. parallel CI jobs updating the same baseline).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const LOCK_TIMEOUT = 10000;
+const LOCK_STALE = 60000;
+const LOCK_RETRY = 50;
+
+// Lock files held by this process (nested withLock calls don't wait for themselves)
+const heldLocks = new Set();
+
+/**
+ * Unique suffix for temporary paths
+ * @returns {string}
+ */
+function tempSuffix() {
+    return `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Block the current thread
+ * @param {number} ms
+ */
+function sleep(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Write a file atomically (write to a temporary file, then rename)
+ * @param {string} filePath
+ * @param {string} content
+ */
+function writeFileAtomic(filePath, content) {
+    const tmpPath = `${filePath}.tmp-${tempSuffix()}`;
+
+    try {
+        fs.writeFileSync(tmpPath, content);
+        fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+        fs.rmSync(tmpPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Replace a directory with a freshly built one
+ *
+ * The new content is built in a temporary directory, then swapped in. The
+ * previous directory is kept as a backup until the swap succeeded and is
+ * restored if it failed.
+ *
+ * @param {string} dir
+ * @param {function(string): void} build - Receives the temporary directory to fill
+ */
+function replaceDirectory(dir, build) {
+    const suffix = tempSuffix();
+    const tmpDir = `${dir}.tmp-${suffix}`;
+    const backupDir = `${dir}.bak-${suffix}`;
+
+    try {
+        fs.mkdirSync(tmpDir, { recursive: true });
+        build(tmpDir);
+    } catch (error) {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        throw error;
+    }
+
+    const hadPrevious = fs.existsSync(dir);
+
+    try {
+        if (hadPrevious) {
+            fs.renameSync(dir, backupDir);
+        }
+        fs.renameSync(tmpDir, dir);
+    } catch (error) {
+        // Roll back to the previous directory
+        if (hadPrevious && fs.existsSync(backupDir)) {
+            fs.rmSync(dir, { recursive: true, force: true });
+            fs.renameSync(backupDir, dir);
+        }
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        throw error;
+    }
+
+    if (hadPrevious) {
+        fs.rmSync(backupDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Check if a lock file was left behind by a dead or hung process
+ * @param {string} lockPath
+ * @param {number} staleMs
+ * @returns {boolean}
+ */
+function isStaleLock(lockPath, staleMs) {
+    try {
+        if (Date.now() - fs.statSync(lockPath).mtimeMs > staleMs) {
+            return true;
+        }
+
+        const owner = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+
+        // The owner can only be checked on this machine
+        if (owner.hostname === os.hostname() && owner.pid !== process.pid) {
+            try {
+                process.kill(owner.pid, 0);
+            } catch (error) {
+                return error.code === 'ESRCH';
+            }
+        }
+    } catch {
+        // Lock released meanwhile, or still being written
+    }
+
+    return false;
+}
+
+/**
+ * Run a function while holding a lock file (`<target>.lock`)
+ *
+ * The lock is reentrant: a nested call for the same target runs right away.
+ *
+ * @param {string} target - Path the lock protects
+ * @param {Function} fn
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Maximum wait for the lock, in ms
+ * @param {number} [options.stale] - Age after which a lock is taken over, in ms
+ * @returns {*} Return value of fn
+ * @throws {Error} If the lock could not be acquired in time
+ */
+function withLock(target, fn, options = {}) {
+    const { timeout = LOCK_TIMEOUT, stale = LOCK_STALE } = options;
+    const lockPath = `${target}.lock`;
+    const deadline = Date.now() + timeout;
+
+    if (heldLocks.has(lockPath)) {
+        return fn();
+    }
+
+    // The target may be saved in a directory that doesn't exist yet
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+
+    for (;;) {
+        try {
+            const fd = fs.openSync(lockPath, 'wx');
+            fs.writeSync(fd, JSON.stringify({ pid: process.pid, hostname: os.hostname() }));
+            fs.closeSync(fd);
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        if (isStaleLock(lockPath, stale)) {
+            fs.rmSync(lockPath, { force: true });
+            continue;
+        }
+
+        if (Date.now() >= deadline) {
+            throw new Error(`Baseline is locked by another process (${lockPath})`);
+        }
+
+        sleep(LOCK_RETRY);
+    }
+
+    heldLocks.add(lockPath);
+
+    try {
+        return fn();
+    } finally {
+        heldLocks.delete(lockPath);
+        fs.rmSync(lockPath, { force: true });
+    }
+}
+
+module.exports = {
+    writeFileAtomic,
+    replaceDirectory,
+    withLock,
+    LOCK_TIMEOUT,
+    LOCK_STALE,
+};
@@ -2,14 +2,44 @@
  * Baseline file management
  *
  * Handles reading, writing, and managing the baseline file.
- * Supports both single file and split-by-rule formats.
+ * Supports both single file and split formats (by rule, top-level directory
+ * or source file).
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { computeFingerprint, splitLines, DEFAULT_CONTEXT_LINES } = require('./fingerprint');
+const { loadConfig } = require('./config');
+const { globToRegExp, toPosix } = require('./glob');
+const { upgrade, wrap, CURRENT_VERSION } = require('./schema');
+const { writeFileAtomic, replaceDirectory, withLock } = require('./atomic');
+const { getSerializer, stripExtension } = require('./serializers');
+const {
+    getDefaultCacheDir, computeSignature, shardName, readCache, writeCache, readShard, listShards,
+} = require('./cache');
+const { pickMetadata } = require('./metadata');
 
 const DEFAULT_BASELINE_FILE = '.eslintbaseline.json';
+const MATCHING_MODES = ['line', 'context', 'count'];
+const SPLIT_STRATEGIES = ['rule', 'dir', 'file'];
+const LOADER_FILE = '_loader.json';
+const SPLIT_DESCRIPTIONS = {
+    rule: 'rule identifier',
+    dir: 'top-level directory',
+    file: 'source file',
+};
+
+/**
+ * Resolve the split strategy from baseline options
+ * @param {Object} options
+ * @param {string} [options.splitBy] - 'rule', 'dir' or 'file'
+ * @param {boolean} [options.splitByRule] - Same as splitBy: 'rule'
+ * @returns {string|null}
+ */
+function resolveSplitBy(options) {
+    return options.splitBy || (options.splitByRule ? 'rule' : null);
+}
 
 /**
  * Baseline class for managing ESLint error baselines
@@ -19,15 +49,56 @@ class Baseline {
      * @param {Object} options
      * @param {string} [options.baselineFile] - Path to baseline file
      * @param {string} [options.cwd] - Working directory
-     * @param {boolean} [options.splitByRule] - Split baseline by rule identifier
+     * @param {string} [options.splitBy] - Split baseline by 'rule', top-level 'dir' or source 'file'
+     * @param {boolean} [options.splitByRule] - Split baseline by rule identifier (same as splitBy: 'rule')
+     * @param {string} [options.matching] - Matching mode: 'line', 'context' or 'count'
+     *   (default: the mode the baseline was saved with, else 'line')
+     * @param {number} [options.contextLines] - Neighbouring lines used for context fingerprints
+     * @param {Object[]} [options.ignoreErrors] - Pattern entries (default: from .eslintbaselinerc.json)
+     * @param {string} [options.format] - File format: 'json', 'ndjson', 'yaml' or 'compact'
+     *   (default: from the baseline file extension)
+     * @param {boolean} [options.lazy] - Read entries file by file from a sidecar cache
+     * @param {string} [options.cacheDir] - Cache directory for lazy loading
+     *   (default: node_modules/.cache/eslint-baseline next to the baseline)
      */
     constructor(options = {}) {
         this.cwd = options.cwd || process.cwd();
         this.baselineFile = options.baselineFile || DEFAULT_BASELINE_FILE;
-        this.splitByRule = options.splitByRule || false;
+        this.splitBy = resolveSplitBy(options);
+        this.splitByRule = this.splitBy === 'rule';
+        this.matchingOption = options.matching || null;
+        this.matching = this.matchingOption || 'line';
+        this.storedMatching = null;
+        this.contextLines = options.contextLines ?? DEFAULT_CONTEXT_LINES;
+        this.ignoreErrors = options.ignoreErrors || null;
+        this.format = options.format || null;
+        this.serializer = getSerializer(this.format, this.baselineFile);
+        this.lazy = options.lazy || false;
+        this.cacheDir = options.cacheDir || null;
+        this.cache = null;
+        this.shards = new Map();
+        this.materialized = new Set();
         this.data = null;
+        this.version = null;
+        this.patterns = null;
+        this.manifestIssues = [];
         this.index = null;
+        this.entryIndex = null;
+        this.fingerprintIndex = null;
+        this.sourceCache = new Map();
         this.loaded = false;
+
+        if (!MATCHING_MODES.includes(this.matching)) {
+            throw new Error(`Unknown matching mode "${this.matching}" (expected ${MATCHING_MODES.join(', ')})`);
+        }
+
+        if (this.splitBy && !SPLIT_STRATEGIES.includes(this.splitBy)) {
+            throw new Error(`Unknown split strategy "${this.splitBy}" (expected ${SPLIT_STRATEGIES.join(', ')})`);
+        }
+
+        if (this.matching === 'context' && this.serializer.name === 'compact') {
+            throw new Error('Context matching needs fingerprints, which the compact format doesn\'t store (use json, ndjson or yaml)');
+        }
     }
 
     /**
@@ -41,17 +112,91 @@ class Baseline {
         return path.join(this.cwd, this.baselineFile);
     }
 
+    /**
+     * Get the directory stored paths are relative to (the baseline file's directory)
+     * @returns {string}
+     */
+    getRootDir() {
+        return path.dirname(this.getBaselinePath());
+    }
+
+    /**
+     * Convert a file path to the key used in the baseline
+     *
+     * Keys are relative to the baseline file's directory and use POSIX
+     * separators, so baselines work from any working directory and on any OS.
+     *
+     * @param {string} filePath - Absolute path, or path relative to cwd
+     * @returns {string}
+     */
+    relativePath(filePath) {
+        return toPosix(path.relative(this.getRootDir(), path.resolve(this.cwd, filePath)));
+    }
+
+    /**
+     * Find the nearest baseline in a directory or its ancestors
+     * @param {string} startDir - Directory to start from
+     * @param {string} [baselineFile] - Baseline file name
+     * @param {Object} [options]
+     * @param {string} [options.splitBy] - Look for the split baseline directory
+     * @param {boolean} [options.splitByRule] - Same as splitBy: 'rule'
+     * @returns {string|null} Absolute baseline file path
+     */
+    static find(startDir, baselineFile = DEFAULT_BASELINE_FILE, options = {}) {
+        let dir = path.resolve(startDir);
+
+        for (;;) {
+            const candidate = path.join(dir, baselineFile);
+            const storagePath = resolveSplitBy(options) ? stripExtension(candidate) : candidate;
+
+            if (fs.existsSync(storagePath)) {
+                return candidate;
+            }
+
+            const parent = path.dirname(dir);
+            if (parent === dir) {
+                return null;
+            }
+            dir = parent;
+        }
+    }
+
     /**
      * Get the directory for split baseline files
      * @returns {string}
      */
     getSplitBaselineDir() {
-        const baselinePath = this.getBaselinePath();
-        return baselinePath.replace(/\.json$/, '');
+        return stripExtension(this.getBaselinePath());
+    }
+
+    /**
+     * Get the path holding the baseline (file, or directory when split)
+     * @returns {string}
+     */
+    getStoragePath() {
+        return this.splitBy ? this.getSplitBaselineDir() : this.getBaselinePath();
+    }
+
+    /**
+     * Get the cache directory used for lazy loading
+     * @returns {string}
+     */
+    getCacheDir() {
+        return this.cacheDir
+            ? path.resolve(this.cwd, this.cacheDir)
+            : getDefaultCacheDir(this.getStoragePath());
     }
 
     /**
      * Load baseline from file
+     *
+     * Older schema versions are upgraded in memory; `version` keeps the
+     * version found on disk (lowest one for split baselines).
+     *
+     * In lazy mode an up-to-date cache is opened instead and `data` only
+     * holds the files looked up so far; otherwise the baseline is parsed
+     * and the cache (re)built for the next run.
+     *
      * @returns {Object} Baseline data
      */
     load() {
@@ -59,18 +204,243 @@ class Baseline {
             return this.data;
         }
 
-        if (this.splitByRule) {
-            this.data = this._loadSplitBaseline();
+        // Taken before parsing, so a baseline changed meanwhile invalidates the cache
+        const signature = this.lazy ? computeSignature(this.getStoragePath()) : null;
+
+        if (signature && this._openCache(signature)) {
+            this.data = {};
         } else {
-            this.data = this._loadSingleBaseline();
+            this.data = this._loadFullBaseline();
+
+            if (signature && Object.keys(this.data).length > 0) {
+                this._writeCache(signature);
+            }
         }
 
+        // An explicit matching mode wins over the one the baseline was saved with
+        this.matching = this.matchingOption || this.storedMatching || 'line';
+
         this._buildIndex();
+        this.patterns = this._loadPatterns();
         this.loaded = true;
 
         return this.data;
     }
 
+    /**
+     * Parse the whole baseline (single file or split directory)
+     * @private
+     * @returns {Object}
+     */
+    _loadFullBaseline() {
+        return this.splitBy ? this._loadSplitBaseline() : this._loadSingleBaseline();
+    }
+
+    /**
+     * Open the lazy loading cache
+     * @private
+     * @param {string} signature - Current baseline signature
+     * @returns {boolean} False if the cache is missing or stale
+     */
+    _openCache(signature) {
+        const meta = readCache(this.getCacheDir(), signature);
+
+        if (!meta) {
+            return false;
+        }
+
+        this.cache = meta;
+        this.version = meta.version ?? null;
+        this.storedMatching = meta.matching ?? null;
+        this.manifestIssues = meta.manifestIssues || [];
+        return true;
+    }
+
+    /**
+     * Write the lazy loading cache of the parsed baseline
+     * @private
+     * @param {string} signature
+     */
+    _writeCache(signature) {
+        try {
+            writeCache(this.getCacheDir(), signature, this.data, {
+                version: this.version,
+                matching: this.storedMatching,
+                manifestIssues: this.manifestIssues,
+            });
+        } catch (error) {
+            // Only costs the next run a full parse
+            console.error(`[eslint-baseline] Could not write baseline cache: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read the entries of a file from the cache and index them
+     * @private
+     * @param {string} relativePath - Baseline key
+     */
+    _materialize(relativePath) {
+        if (!this.cache || this.materialized.has(relativePath)) {
+            return;
+        }
+
+        const name = shardName(relativePath);
+
+        try {
+            if (!this.shards.has(name)) {
+                this.shards.set(name, readShard(this.getCacheDir(), name));
+            }
+        } catch (error) {
+            console.error(`[eslint-baseline] Error reading baseline cache: ${error.message}`);
+            this._dropCache();
+            return;
+        }
+
+        this.materialized.add(relativePath);
+        const errors = this.shards.get(name)[relativePath];
+
+        if (errors) {
+            this.data[relativePath] = errors;
+            this._indexFile(relativePath, errors);
+        }
+    }
+
+    /**
+     * Read every file from the cache (for operations on the whole baseline)
+     * @private
+     */
+    _materializeAll() {
+        if (!this.cache) {
+            return;
+        }
+
+        try {
+            for (const name of listShards(this.getCacheDir())) {
+                if (!this.shards.has(name)) {
+                    this.shards.set(name, readShard(this.getCacheDir(), name));
+                }
+            }
+        } catch (error) {
+            console.error(`[eslint-baseline] Error reading baseline cache: ${error.message}`);
+            this._dropCache();
+            return;
+        }
+
+        for (const files of this.shards.values()) {
+            for (const file of Object.keys(files)) {
+                this._materialize(file);
+            }
+        }
+
+        this.cache = null;
+    }
+
+    /**
+     * Stop using an unreadable cache and parse the whole baseline
+     *
+     * Files matched so far are re-indexed from scratch.
+     *
+     * @private
+     */
+    _dropCache() {
+        this.cache = null;
+        this.shards.clear();
+        this.materialized.clear();
+        this.data = this._loadFullBaseline();
+        this._buildIndex();
+    }
+
+    /**
+     * Check if the baseline has any entries (patterns aside)
+     *
+     * Unlike `data`, this also counts the files a lazy baseline hasn't read yet.
+     *
+     * @returns {boolean}
+     */
+    hasEntries() {
+        if (!this.loaded) {
+            this.load();
+        }
+
+        if (this.cache) {
+            return this.cache.entryCount > 0;
+        }
+        return Object.keys(this.data).length > 0;
+    }
+
+    /**
+     * Load and compile pattern entries (PHPStan-like ignoreErrors)
+     * @private
+     * @returns {Array}
+     */
+    _loadPatterns() {
+        const ignoreErrors = this.ignoreErrors
+            || loadConfig(path.dirname(this.getBaselinePath())).ignoreErrors
+            || [];
+
+        if (!Array.isArray(ignoreErrors)) {
+            console.error('[eslint-baseline] Invalid ignoreErrors: expected array');
+            return [];
+        }
+
+        const patterns = [];
+
+        for (const entry of ignoreErrors) {
+            if (typeof entry !== 'object' || entry === null || typeof entry.message !== 'string') {
+                console.error('[eslint-baseline] Invalid ignoreErrors entry: expected object with message');
+                continue;
+            }
+
+            try {
+                patterns.push({
+                    entry,
+                    messageRegex: new RegExp(entry.message),
+                    pathRegex: entry.path ? globToRegExp(entry.path) : null,
+                    matched: 0,
+                    // Matches by file, to undo them (resetFileMatches)
+                    matchedByFile: new Map(),
+                });
+            } catch (error) {
+                console.error(`[eslint-baseline] Invalid ignoreErrors message pattern: ${error.message}`);
+            }
+        }
+
+        return patterns;
+    }
+
+    /**
+     * Match an error against pattern entries and consume it
+     * @private
+     * @param {string} relativePath
+     * @param {string} ruleId
+     * @param {string} message
+     * @returns {Object|null} Matched ignoreErrors entry
+     */
+    _matchPattern(relativePath, ruleId, message) {
+        for (const pattern of this.patterns) {
+            const { entry } = pattern;
+
+            if (entry.ruleId && entry.ruleId !== ruleId) {
+                continue;
+            }
+            if (pattern.pathRegex && !pattern.pathRegex.test(relativePath)) {
+                continue;
+            }
+            if (Number.isInteger(entry.count) && pattern.matched >= entry.count) {
+                continue;
+            }
+            if (!pattern.messageRegex.test(message)) {
+                continue;
+            }
+
+            pattern.matched++;
+            pattern.matchedByFile.set(relativePath, (pattern.matchedByFile.get(relativePath) || 0) + 1);
+            return entry;
+        }
+
+        return null;
+    }
+
     /**
      * Load single baseline file
      * @private
@@ -85,8 +455,10 @@ class Baseline {
 
         try {
             const content = fs.readFileSync(baselinePath, 'utf8');
-            const data = JSON.parse(content);
-            return this._validateBaselineData(data);
+            const { version, matching, files } = upgrade(this.serializer.parse(content));
+            this.version = version;
+            this._setStoredMatching(matching);
+            return this._validateBaselineData(files);
         } catch (error) {
             console.error(`[eslint-baseline] Error loading baseline: ${error.message}`);
             return {};
@@ -94,156 +466,740 @@ class Baseline {
     }
 
     /**
-     * Validate baseline data structure
+     * Record the matching mode a baseline file was saved with
+     * @private
+     * @param {string} [matching]
+     */
+    _setStoredMatching(matching) {
+        if (matching && MATCHING_MODES.includes(matching)) {
+            this.storedMatching = matching;
+        }
+    }
+
+    /**
+     * Validate baseline data structure
+     * @private
+     * @param {*} data - Parsed JSON data
+     * @returns {Object} Validated baseline data
+     */
+    _validateBaselineData(data) {
+        if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+            console.error('[eslint-baseline] Invalid baseline format: expected object');
+            return {};
+        }
+
+        const validated = {};
+
+        for (const [rawPath, errors] of Object.entries(data)) {
+            // Baselines written on Windows by older versions use backslashes
+            const filePath = rawPath.replace(/\\/g, '/');
+
+            if (!Array.isArray(errors)) {
+                console.error(`[eslint-baseline] Invalid errors for ${filePath}: expected array`);
+                continue;
+            }
+
+            const validErrors = errors.filter((error) => {
+                if (typeof error !== 'object' || error === null) {
+                    return false;
+                }
+                if (typeof error.ruleId !== 'string') {
+                    return false;
+                }
+                // Line entries, or aggregated count entries (count mode)
+                if (typeof error.line !== 'number' && !(Number.isInteger(error.count) && error.count > 0)) {
+                    return false;
+                }
+                return true;
+            });
+
+            if (validErrors.length > 0) {
+                validated[filePath] = [...(validated[filePath] || []), ...validErrors];
+            }
+        }
+
+        return validated;
+    }
+
+    /**
+     * Load split baseline (multiple files by rule, directory or source file)
+     *
+     * Every layout stores the source paths inside each file, so the files
+     * are merged the same way whatever strategy wrote them. Only the files
+     * listed in `_loader.json` are loaded; missing, unlisted and modified
+     * files are recorded in `manifestIssues`.
+     *
+     * @private
+     * @returns {Object}
+     */
+    _loadSplitBaseline() {
+        const baselineDir = this.getSplitBaselineDir();
+        this.manifestIssues = [];
+
+        if (!fs.existsSync(baselineDir)) {
+            return {};
+        }
+
+        const merged = {};
+
+        try {
+            const present = this._listSplitFiles(baselineDir);
+            const manifest = this._readManifest(baselineDir);
+            let files = present;
+
+            if (manifest) {
+                files = manifest.files.filter((file) => {
+                    if (present.includes(file)) {
+                        return true;
+                    }
+                    this._addManifestIssue('missing', file, `listed in ${LOADER_FILE} but missing`);
+                    return false;
+                });
+
+                for (const file of present) {
+                    if (!manifest.files.includes(file)) {
+                        this._addManifestIssue('unlisted', file, `not listed in ${LOADER_FILE}, ignored`);
+                    }
+                }
+            } else if (present.length > 0) {
+                this._addManifestIssue('manifest', LOADER_FILE, 'missing or invalid, loading every file');
+            }
+
+            for (const file of files) {
+                const fullPath = path.join(baselineDir, file);
+                const raw = fs.readFileSync(fullPath, 'utf8');
+                let content;
+
+                // Manifests written before checksums were added only list the files
+                const expected = manifest?.checksums?.[file];
+                if (expected && this._checksum(raw) !== expected) {
+                    this._addManifestIssue('checksum', file, `checksum does not match ${LOADER_FILE}`);
+                }
+
+                try {
+                    content = getSerializer(null, file).parse(raw);
+                } catch (parseError) {
+                    console.error(`[eslint-baseline] Error parsing ${file}: ${parseError.message}`);
+                    continue;
+                }
+
+                let upgraded;
+                try {
+                    upgraded = upgrade(content);
+                } catch (versionError) {
+                    console.error(`[eslint-baseline] Error loading ${file}: ${versionError.message}`);
+                    continue;
+                }
+
+                this.version = Math.min(this.version ?? upgraded.version, upgraded.version);
+                this._setStoredMatching(upgraded.matching);
+                const validated = this._validateBaselineData(upgraded.files);
+
+                // Merge into main object
+                for (const [sourceFile, errors] of Object.entries(validated)) {
+                    if (!merged[sourceFile]) {
+                        merged[sourceFile] = [];
+                    }
+                    merged[sourceFile].push(...errors);
+                }
+            }
+        } catch (error) {
+            console.error(`[eslint-baseline] Error loading split baseline: ${error.message}`);
+        }
+
+        return merged;
+    }
+
+    /**
+     * Read the manifest (`_loader.json`) of a split baseline
+     * @private
+     * @param {string} baselineDir
+     * @returns {{files: string[], checksums?: Object<string, string>}|null} Null if missing or invalid
+     */
+    _readManifest(baselineDir) {
+        const loaderPath = path.join(baselineDir, LOADER_FILE);
+
+        if (!fs.existsSync(loaderPath)) {
+            return null;
+        }
+
+        try {
+            const manifest = JSON.parse(fs.readFileSync(loaderPath, 'utf8'));
+            if (!Array.isArray(manifest.files) || !manifest.files.every((file) => typeof file === 'string')) {
+                return null;
+            }
+            return manifest;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Record an inconsistency between the split files and the manifest
+     * @private
+     * @param {string} type - 'missing', 'unlisted', 'checksum' or 'manifest'
+     * @param {string} file - POSIX path relative to the split directory
+     * @param {string} message
+     */
+    _addManifestIssue(type, file, message) {
+        const fullPath = path.join(this.getSplitBaselineDir(), file);
+        this.manifestIssues.push({ type, file: toPosix(path.relative(this.cwd, fullPath)), message });
+    }
+
+    /**
+     * Checksum of a split file, stable across line ending conversions
+     * @private
+     * @param {string} content
+     * @returns {string}
+     */
+    _checksum(content) {
+        return crypto
+            .createHash('sha256')
+            .update(content.replace(/\r\n/g, '\n'))
+            .digest('hex');
+    }
+
+    /**
+     * List the baseline files of a split directory (recursively, for the file layout)
+     * @private
+     * @param {string} baselineDir
+     * @param {string} [subDir] - POSIX path relative to baselineDir
+     * @returns {string[]} POSIX paths relative to baselineDir
+     */
+    _listSplitFiles(baselineDir, subDir = '') {
+        const files = [];
+
+        for (const entry of fs.readdirSync(path.join(baselineDir, subDir), { withFileTypes: true })) {
+            const relative = subDir ? `${subDir}/${entry.name}` : entry.name;
+
+            if (entry.isDirectory()) {
+                files.push(...this._listSplitFiles(baselineDir, relative));
+            } else if (this._isSplitFile(entry.name) && relative !== LOADER_FILE) {
+                files.push(relative);
+            }
+        }
+
+        return files.sort();
+    }
+
+    /**
+     * Check if a file of the split directory holds baseline entries
+     * @private
+     * @param {string} name
+     * @returns {boolean}
+     */
+    _isSplitFile(name) {
+        return name.endsWith('.json') || this.serializer.extensions.some((extension) => name.endsWith(extension));
+    }
+
+    /**
+     * Get the split file an entry is stored in
+     * @private
+     * @param {string} filePath - Baseline key of the source file
+     * @param {Object} error - Baseline entry
+     * @returns {string} POSIX path relative to the split directory
+     */
+    _splitFileName(filePath, error) {
+        const [extension] = this.serializer.extensions;
+
+        if (this.splitBy === 'rule') {
+            return `${error.ruleId.replace(/\//g, '-')}${extension}`; // Safe filename
+        }
+
+        // Keep files of sources outside the baseline directory inside it
+        const segments = filePath.split('/').map((segment) => (segment === '..' ? '_parent' : segment));
+
+        if (this.splitBy === 'dir') {
+            return segments.length > 1 ? `${segments[0]}${extension}` : `_root${extension}`;
+        }
+
+        // Mirrored source tree: src/a.js -> src/a.js.json
+        return `${segments.join('/')}${extension}`;
+    }
+
+    /**
+     * Build index for fast lookups
+     * @private
+     */
+    _buildIndex() {
+        this.index = new Map();
+        this.entryIndex = new Map();
+        this.fingerprintIndex = new Map();
+
+        for (const [file, errors] of Object.entries(this.data)) {
+            this._indexFile(file, errors);
+        }
+    }
+
+    /**
+     * Add the entries of one file to the index
+     * @private
+     * @param {string} file - Baseline key
+     * @param {Array} errors
+     */
+    _indexFile(file, errors) {
+        const hashes = new Map();
+        const entries = new Map();
+        const fingerprints = new Map();
+
+        for (const error of errors) {
+            const hash = this._entryHash(error);
+            hashes.set(hash, (hashes.get(hash) || 0) + this._entryCount(error));
+
+            if (!entries.has(hash)) {
+                entries.set(hash, error);
+            }
+
+            // Context fingerprints point back to the exact-line hashes they can consume
+            if (typeof error.fingerprint === 'string') {
+                const key = this._generateFingerprintKey(error.ruleId, error.message, error.fingerprint);
+                if (!fingerprints.has(key)) {
+                    fingerprints.set(key, []);
+                }
+                fingerprints.get(key).push(hash);
+            }
+        }
+
+        this.index.set(file, hashes);
+        this.entryIndex.set(file, entries);
+
+        if (fingerprints.size > 0) {
+            this.fingerprintIndex.set(file, fingerprints);
+        }
+    }
+
+    /**
+     * Generate hash for an error
+     * @private
+     * @param {string} ruleId
+     * @param {number} line
+     * @param {string} message
+     * @returns {string}
+     */
+    _generateHash(ruleId, line, message) {
+        return crypto
+            .createHash('md5')
+            .update(`${ruleId}:${line}:${message}`)
+            .digest('hex')
+            .substring(0, 12);
+    }
+
+    /**
+     * Generate hash for a baseline entry
+     *
+     * Count entries have no line and are keyed on rule + message only.
+     *
+     * @private
+     * @param {Object} error
+     * @returns {string}
+     */
+    _entryHash(error) {
+        if (typeof error.line === 'number') {
+            return this._generateHash(error.ruleId, error.line, error.message);
+        }
+        return this._generateHash(error.ruleId, '*', error.message);
+    }
+
+    /**
+     * Number of errors an entry stands for
+     * @private
+     * @param {Object} error
+     * @returns {number}
+     */
+    _entryCount(error) {
+        return typeof error.line === 'number' ? 1 : error.count;
+    }
+
+    /**
+     * Aggregate line entries into count entries (one per file + rule + message)
+     * @private
+     * @param {Object} data
+     * @returns {Object}
+     */
+    _aggregate(data) {
+        const aggregated = {};
+
+        for (const [filePath, errors] of Object.entries(data)) {
+            const byKey = new Map();
+
+            for (const error of errors) {
+                const key = this._generateHash(error.ruleId, '*', error.message);
+                const existing = byKey.get(key);
+
+                if (existing) {
+                    existing.count += this._entryCount(error);
+                    if (error.severity > (existing.severity ?? 0)) {
+                        existing.severity = error.severity;
+                    }
+                    Object.assign(existing, { ...pickMetadata(error), ...pickMetadata(existing) });
+                } else {
+                    byKey.set(key, {
+                        ruleId: error.ruleId,
+                        message: error.message,
+                        count: this._entryCount(error),
+                        ...(error.severity !== undefined && { severity: error.severity }),
+                        ...pickMetadata(error),
+                    });
+                }
+            }
+
+            if (byKey.size > 0) {
+                aggregated[filePath] = [...byKey.values()];
+            }
+        }
+
+        return aggregated;
+    }
+
+    /**
+     * Generate lookup key for a context fingerprint
+     * @private
+     * @param {string} ruleId
+     * @param {string} message
+     * @param {string} fingerprint
+     * @returns {string}
+     */
+    _generateFingerprintKey(ruleId, message, fingerprint) {
+        return this._generateHash(ruleId, fingerprint, message);
+    }
+
+    /**
+     * Get the source lines of a baselined file
+     * @private
+     * @param {string} relativePath - Baseline key (relative to the baseline directory)
+     * @param {string} [source] - Source text, read from disk when omitted
+     * @returns {string[]|null}
+     */
+    _getSourceLines(relativePath, source) {
+        if (typeof source === 'string') {
+            return splitLines(source);
+        }
+
+        if (!this.sourceCache.has(relativePath)) {
+            let lines = null;
+            try {
+                lines = splitLines(fs.readFileSync(path.join(this.getRootDir(), relativePath), 'utf8'));
+            } catch {
+                // File removed or unreadable: no context available
+            }
+            this.sourceCache.set(relativePath, lines);
+        }
+
+        return this.sourceCache.get(relativePath);
+    }
+
+    /**
+     * Compute the fingerprint key of an error from its source context
      * @private
-     * @param {*} data - Parsed JSON data
-     * @returns {Object} Validated baseline data
+     * @param {string} relativePath
+     * @param {string} ruleId
+     * @param {number} line
+     * @param {string} message
+     * @param {string} [source]
+     * @returns {string|null}
      */
-    _validateBaselineData(data) {
-        if (typeof data !== 'object' || data === null || Array.isArray(data)) {
-            console.error('[eslint-baseline] Invalid baseline format: expected object');
-            return {};
+    _getContextKey(relativePath, ruleId, line, message, source) {
+        const lines = this._getSourceLines(relativePath, source);
+
+        if (!lines) {
+            return null;
         }
 
-        const validated = {};
+        const fingerprint = computeFingerprint(lines, line, this.contextLines);
+        return this._generateFingerprintKey(ruleId, message, fingerprint);
+    }
 
+    /**
+     * Add context fingerprints to entries that don't have one yet
+     * @private
+     * @param {Object} data
+     */
+    _addFingerprints(data) {
         for (const [filePath, errors] of Object.entries(data)) {
-            if (!Array.isArray(errors)) {
-                console.error(`[eslint-baseline] Invalid errors for ${filePath}: expected array`);
+            const lines = this._getSourceLines(filePath);
+
+            if (!lines) {
                 continue;
             }
 
-            const validErrors = errors.filter((error) => {
-                if (typeof error !== 'object' || error === null) {
-                    return false;
-                }
-                if (typeof error.ruleId !== 'string' || typeof error.line !== 'number') {
-                    return false;
+            for (const error of errors) {
+                if (!error.fingerprint) {
+                    error.fingerprint = computeFingerprint(lines, error.line, this.contextLines);
                 }
-                return true;
-            });
-
-            if (validErrors.length > 0) {
-                validated[filePath] = validErrors;
             }
         }
+    }
 
-        return validated;
+    /**
+     * Check if an error is in the baseline and consume it
+     *
+     * When the baselined entries carry fingerprints, the source context is
+     * tried first (after a line shift, the entry on an error's line may
+     * belong to another error), then the exact-line hash, then count
+     * entries (rule + message, any line), then pattern entries.
+     *
+     * @param {string} filePath - Relative file path
+     * @param {string} ruleId - ESLint rule ID
+     * @param {number} line - Line number
+     * @param {string} message - Error message
+     * @param {string} [source] - Current source text (read from disk when omitted)
+     * @returns {boolean} True if error was in baseline
+     */
+    isInBaseline(filePath, ruleId, line, message, source) {
+        return this.match(filePath, ruleId, line, message, source) !== null;
     }
 
     /**
-     * Load split baseline (multiple files by rule)
-     * @private
-     * @returns {Object}
+     * Find the baseline entry matching an error and consume it
+     *
+     * Same lookup as isInBaseline(), but returns the matched entry (a
+     * baseline entry, or the ignoreErrors entry for pattern matches).
+     *
+     * @param {string} filePath - Relative file path
+     * @param {string} ruleId - ESLint rule ID
+     * @param {number} line - Line number
+     * @param {string} message - Error message
+     * @param {string} [source] - Current source text (read from disk when omitted)
+     * @returns {Object|null} Matched entry, or null if the error is new
      */
-    _loadSplitBaseline() {
-        const baselineDir = this.getSplitBaselineDir();
+    match(filePath, ruleId, line, message, source) {
+        const relativePath = this._prepareFile(filePath);
 
-        if (!fs.existsSync(baselineDir)) {
-            return {};
+        if (!this.index.get(relativePath)) {
+            return this._matchPattern(relativePath, ruleId, message);
         }
 
-        const merged = {};
-
-        try {
-            const files = fs.readdirSync(baselineDir).filter((f) => f.endsWith('.json') && f !== '_loader.json');
+        return this._matchContext(relativePath, ruleId, line, message, source)
+            || this._matchLine(relativePath, ruleId, line, message);
+    }
 
-            for (const file of files) {
-                const fullPath = path.join(baselineDir, file);
-                let content;
+    /**
+     * Find the baseline entries matching the errors of a file and consume them
+     *
+     * Every error is matched by its source context first, and only then
+     * by line, count and pattern: after a line shift, the entry on an
+     * error's line may belong to another error of the same rule.
+     *
+     * @param {string} filePath - Relative file path
+     * @param {Array<{ruleId: string, line: number, message: string}>} messages - ESLint messages
+     * @param {string} [source] - Current source text (read from disk when omitted)
+     * @returns {Array<Object|null>} Matched entry of each message (null: new error or no rule)
+     */
+    matchFile(filePath, messages, source) {
+        const relativePath = this._prepareFile(filePath);
+        const hasEntries = Boolean(this.index.get(relativePath));
 
-                try {
-                    content = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
-                } catch (parseError) {
-                    console.error(`[eslint-baseline] Error parsing ${file}: ${parseError.message}`);
-                    continue;
-                }
+        const entries = messages.map((msg) => (msg.ruleId && hasEntries
+            ? this._matchContext(relativePath, msg.ruleId, msg.line, msg.message, source)
+            : null));
 
-                const validated = this._validateBaselineData(content);
+        return entries.map((entry, position) => {
+            const msg = messages[position];
 
-                // Merge into main object
-                for (const [sourceFile, errors] of Object.entries(validated)) {
-                    if (!merged[sourceFile]) {
-                        merged[sourceFile] = [];
-                    }
-                    merged[sourceFile].push(...errors);
-                }
+            if (entry || !msg.ruleId) {
+                return entry;
             }
-        } catch (error) {
-            console.error(`[eslint-baseline] Error loading split baseline: ${error.message}`);
+
+            return hasEntries
+                ? this._matchLine(relativePath, msg.ruleId, msg.line, msg.message)
+                : this._matchPattern(relativePath, msg.ruleId, msg.message);
+        });
+    }
+
+    /**
+     * Load the baseline and the entries of a file
+     * @private
+     * @param {string} filePath
+     * @returns {string} Baseline key
+     */
+    _prepareFile(filePath) {
+        if (!this.loaded) {
+            this.load();
         }
 
-        return merged;
+        const relativePath = this.relativePath(filePath);
+        this._materialize(relativePath);
+        return relativePath;
     }
 
     /**
-     * Build index for fast lookups
+     * Match an error by its source context (entries with fingerprints)
      * @private
+     * @param {string} relativePath - Baseline key
+     * @param {string} ruleId
+     * @param {number} line
+     * @param {string} message
+     * @param {string} [source]
+     * @returns {Object|null}
      */
-    _buildIndex() {
-        this.index = new Map();
+    _matchContext(relativePath, ruleId, line, message, source) {
+        const fingerprints = this.fingerprintIndex.get(relativePath);
+        const key = fingerprints ? this._getContextKey(relativePath, ruleId, line, message, source) : null;
+        const candidates = (key && fingerprints.get(key)) || [];
 
-        for (const [file, errors] of Object.entries(this.data)) {
-            const hashes = new Map();
+        if (candidates.length === 0) {
+            return null;
+        }
 
-            for (const error of errors) {
-                const hash = this._generateHash(error.ruleId, error.line, error.message);
-                hashes.set(hash, (hashes.get(hash) || 0) + 1);
-            }
+        // The entry on this line if it is one of them, else the first one left
+        const fileHashes = this.index.get(relativePath);
+        const hash = this._generateHash(ruleId, line, message);
+        const sameContext = candidates.includes(hash) && fileHashes.get(hash) > 0
+            ? hash
+            : candidates.find((candidate) => fileHashes.get(candidate) > 0);
 
-            this.index.set(file, hashes);
+        if (!sameContext) {
+            return null;
         }
+
+        this._consume(fileHashes, sameContext);
+        return this.entryIndex.get(relativePath).get(sameContext);
     }
 
     /**
-     * Generate hash for an error
+     * Match an error by line, then count entries, then patterns
      * @private
+     * @param {string} relativePath - Baseline key
      * @param {string} ruleId
      * @param {number} line
      * @param {string} message
-     * @returns {string}
+     * @returns {Object|null}
      */
-    _generateHash(ruleId, line, message) {
-        return crypto
-            .createHash('md5')
-            .update(`${ruleId}:${line}:${message}`)
-            .digest('hex')
-            .substring(0, 12);
+    _matchLine(relativePath, ruleId, line, message) {
+        const fileHashes = this.index.get(relativePath);
+        const fileEntries = this.entryIndex.get(relativePath);
+
+        for (const hash of [this._generateHash(ruleId, line, message), this._generateHash(ruleId, '*', message)]) {
+            if (fileHashes.get(hash) > 0) {
+                this._consume(fileHashes, hash);
+                return fileEntries.get(hash);
+            }
+        }
+
+        return this._matchPattern(relativePath, ruleId, message);
     }
 
     /**
-     * Check if an error is in the baseline and consume it
-     * @param {string} filePath - Relative file path
-     * @param {string} ruleId - ESLint rule ID
-     * @param {number} line - Line number
-     * @param {string} message - Error message
-     * @returns {boolean} True if error was in baseline
+     * Undo the matches of a file, restoring its full counts
+     *
+     * Matching consumes entries, so an instance that lints the same file
+     * more than once (the processor in an editor) must start every lint of
+     * that file from its baselined counts. Matches of other files are kept,
+     * so unmatched entries reflect the last lint of each file.
+     *
+     * @param {string} filePath - Absolute path, or path relative to cwd
      */
-    isInBaseline(filePath, ruleId, line, message) {
+    resetFileMatches(filePath) {
         if (!this.loaded) {
             this.load();
         }
 
-        const relativePath = path.relative(this.cwd, filePath);
-        const fileHashes = this.index.get(relativePath);
+        const relativePath = this.relativePath(filePath);
+        this._materialize(relativePath);
 
-        if (!fileHashes) {
-            return false;
+        const errors = this.data[relativePath];
+        if (errors) {
+            this._indexFile(relativePath, errors);
         }
 
-        const hash = this._generateHash(ruleId, line, message);
+        for (const pattern of this.patterns || []) {
+            pattern.matched -= pattern.matchedByFile.get(relativePath) || 0;
+            pattern.matchedByFile.delete(relativePath);
+        }
+    }
+
+    /**
+     * Split new entries into the ones already baselined and the new ones
+     *
+     * Every new entry is matched like a lint message (consuming the baseline
+     * entry it matches). Matched entries receive the metadata of their
+     * baseline entry (see carryMetadata). Entries covered by an ignoreErrors
+     * pattern are in neither group.
+     *
+     * @param {Object} data - New entries by file (baseline keys)
+     * @returns {{matched: Object, added: Object}} Entries by file
+     */
+    partition(data) {
+        if (!this.loaded) {
+            this.load();
+        }
+
+        const patternEntries = new Set((this.patterns || []).map((pattern) => pattern.entry));
+        const matched = {};
+        const added = {};
+
+        for (const [file, errors] of Object.entries(data)) {
+            const entries = this.matchFile(path.join(this.getRootDir(), file), errors);
+
+            errors.forEach((error, position) => {
+                const entry = entries[position];
+
+                if (entry && patternEntries.has(entry)) {
+                    return;
+                }
+
+                const target = entry ? matched : added;
+                if (!target[file]) {
+                    target[file] = [];
+                }
+                target[file].push(entry ? Object.assign(error, pickMetadata(entry)) : error);
+            });
+        }
+
+        return { matched, added };
+    }
+
+    /**
+     * Copy the metadata of matching baseline entries to new entries
+     *
+     * `reason`, `ticket`, `owner` and `expires` follow the entry across
+     * updates, line shifts (context matching) and renames. Consumes the
+     * matched baseline entries.
+     *
+     * @param {Object} data - New entries by file (baseline keys), updated in place
+     * @returns {number} Number of entries that received metadata
+     */
+    carryMetadata(data) {
+        const { matched } = this.partition(data);
+
+        return Object.values(matched)
+            .flat()
+            .filter((error) => Object.keys(pickMetadata(error)).length > 0)
+            .length;
+    }
+
+    /**
+     * Consume one occurrence of a hash
+     * @private
+     * @param {Map<string, number>} fileHashes
+     * @param {string} hash
+     */
+    _consume(fileHashes, hash) {
         const count = fileHashes.get(hash);
 
-        if (count && count > 0) {
-            if (count === 1) {
-                fileHashes.delete(hash);
-            } else {
-                fileHashes.set(hash, count - 1);
-            }
-            return true;
+        if (count === 1) {
+            fileHashes.delete(hash);
+        } else {
+            fileHashes.set(hash, count - 1);
         }
+    }
 
-        return false;
+    /**
+     * Run a read-modify-write of the baseline under its lock
+     *
+     * The baseline is read again from disk once the lock is held, so a
+     * concurrent update (e.g. parallel CI jobs each updating their own
+     * files) can't be overwritten with stale entries. save() calls in fn
+     * reuse the lock.
+     *
+     * @param {Function} fn
+     * @returns {*} Return value of fn
+     */
+    transaction(fn) {
+        return withLock(this.getStoragePath(), () => {
+            this.reset();
+            return fn();
+        });
     }
 
     /**
@@ -262,12 +1218,30 @@ class Baseline {
             return false;
         }
 
-        if (this.splitByRule) {
-            this._saveSplitBaseline(data);
-        } else {
-            this._saveSingleBaseline(data);
+        if (this.matching === 'context') {
+            this._addFingerprints(data);
+        } else if (this.matching === 'count') {
+            data = this._aggregate(data);
+        }
+
+        if (this.serializer.name === 'compact') {
+            const withMetadata = Object.values(data).flat()
+                .filter((error) => Object.keys(pickMetadata(error)).length > 0);
+
+            if (withMetadata.length > 0) {
+                console.error(`[eslint-baseline] The compact format doesn't store entry metadata: dropped from ${withMetadata.length} entries (use json, ndjson or yaml to keep it)`);
+            }
         }
 
+        // Serialize concurrent writers (e.g. parallel CI jobs)
+        withLock(this.getStoragePath(), () => {
+            if (this.splitBy) {
+                this._saveSplitBaseline(data);
+            } else {
+                this._saveSingleBaseline(data);
+            }
+        });
+
         return true;
     }
 
@@ -280,63 +1254,89 @@ class Baseline {
         const baselinePath = this.getBaselinePath();
         const sorted = this._sortBaseline(data);
 
-        fs.writeFileSync(baselinePath, JSON.stringify(sorted, null, 2));
+        writeFileAtomic(baselinePath, this.serializer.serialize(wrap(sorted, this.matching)));
+        this.version = CURRENT_VERSION;
+        this.storedMatching = this.matching;
     }
 
     /**
-     * Save split baseline (multiple files by rule)
+     * Save split baseline (multiple files by rule, directory or source file)
+     *
+     * The files are written to a new directory that replaces the previous
+     * one, which is restored if anything fails.
+     *
      * @private
      * @param {Object} data
      */
     _saveSplitBaseline(data) {
         const baselineDir = this.getSplitBaselineDir();
 
-        // Create directory if not exists
-        if (!fs.existsSync(baselineDir)) {
-            fs.mkdirSync(baselineDir, { recursive: true });
-        }
-
-        // Group by rule
-        const byRule = {};
+        // Group by split file
+        const groups = {};
 
         for (const [filePath, errors] of Object.entries(data)) {
             for (const error of errors) {
-                const ruleId = error.ruleId.replace(/\//g, '-'); // Safe filename
-                if (!byRule[ruleId]) {
-                    byRule[ruleId] = {};
+                const fileName = this._splitFileName(filePath, error);
+                if (!groups[fileName]) {
+                    groups[fileName] = {};
                 }
-                if (!byRule[ruleId][filePath]) {
-                    byRule[ruleId][filePath] = [];
+                if (!groups[fileName][filePath]) {
+                    groups[fileName][filePath] = [];
                 }
-                byRule[ruleId][filePath].push(error);
+                groups[fileName][filePath].push(error);
             }
         }
 
-        // Clear existing files
-        if (fs.existsSync(baselineDir)) {
-            const existingFiles = fs.readdirSync(baselineDir).filter((f) => f.endsWith('.json'));
-            for (const file of existingFiles) {
-                fs.unlinkSync(path.join(baselineDir, file));
+        replaceDirectory(baselineDir, (tmpDir) => {
+            // Keep files that aren't part of the baseline (e.g. a README)
+            if (fs.existsSync(baselineDir)) {
+                this._copyOtherFiles(baselineDir, tmpDir);
             }
-        }
 
-        // Write individual files
-        const ruleFiles = [];
-        for (const [ruleId, ruleData] of Object.entries(byRule)) {
-            const fileName = `${ruleId}.json`;
-            const filePath = path.join(baselineDir, fileName);
-            const sorted = this._sortBaseline(ruleData);
+            // Write individual files
+            const checksums = {};
+            for (const fileName of Object.keys(groups).sort()) {
+                const filePath = path.join(tmpDir, fileName);
+                const content = this.serializer.serialize(wrap(this._sortBaseline(groups[fileName]), this.matching));
 
-            fs.writeFileSync(filePath, JSON.stringify(sorted, null, 2));
-            ruleFiles.push(fileName);
-        }
+                fs.mkdirSync(path.dirname(filePath), { recursive: true });
+                fs.writeFileSync(filePath, content);
+                checksums[fileName] = this._checksum(content);
+            }
+
+            // Write loader file: the manifest of the files to load
+            fs.writeFileSync(path.join(tmpDir, LOADER_FILE), JSON.stringify({
+                description: `ESLint baseline split by ${SPLIT_DESCRIPTIONS[this.splitBy]}`,
+                version: CURRENT_VERSION,
+                splitBy: this.splitBy,
+                files: Object.keys(checksums),
+                checksums,
+            }, null, 2));
+        });
+
+        this.version = CURRENT_VERSION;
+        this.storedMatching = this.matching;
+        this.manifestIssues = [];
+    }
 
-        // Write loader file
-        const loaderPath = path.join(baselineDir, '_loader.json');
-        fs.writeFileSync(loaderPath, JSON.stringify({
-            description: 'ESLint baseline split by rule identifier',
-            files: ruleFiles.sort(),
-        }, null, 2));
+    /**
+     * Copy the files of a split directory that aren't baseline JSON files
+     * @private
+     * @param {string} fromDir
+     * @param {string} toDir
+     */
+    _copyOtherFiles(fromDir, toDir) {
+        for (const entry of fs.readdirSync(fromDir, { withFileTypes: true })) {
+            const fromPath = path.join(fromDir, entry.name);
+            const toPath = path.join(toDir, entry.name);
+
+            if (entry.isDirectory()) {
+                this._copyOtherFiles(fromPath, toPath);
+            } else if (!this._isSplitFile(entry.name)) {
+                fs.mkdirSync(toDir, { recursive: true });
+                fs.copyFileSync(fromPath, toPath);
+            }
+        }
     }
 
     /**
@@ -352,9 +1352,12 @@ class Baseline {
         for (const key of sortedKeys) {
             sorted[key] = data[key].sort((a, b) => {
                 if (a.line !== b.line) {
-                    return a.line - b.line;
+                    return (a.line ?? 0) - (b.line ?? 0);
                 }
-                return a.ruleId.localeCompare(b.ruleId);
+                if (a.ruleId !== b.ruleId) {
+                    return a.ruleId.localeCompare(b.ruleId);
+                }
+                return String(a.message).localeCompare(String(b.message));
             });
         }
 
@@ -369,6 +1372,7 @@ class Baseline {
         if (!this.loaded) {
             this.load();
         }
+        this._materializeAll();
 
         let totalErrors = 0;
         const fileCount = Object.keys(this.data).length;
@@ -376,8 +1380,9 @@ class Baseline {
 
         for (const errors of Object.values(this.data)) {
             for (const error of errors) {
-                totalErrors++;
-                ruleStats[error.ruleId] = (ruleStats[error.ruleId] || 0) + 1;
+                const count = this._entryCount(error);
+                totalErrors += count;
+                ruleStats[error.ruleId] = (ruleStats[error.ruleId] || 0) + count;
             }
         }
 
@@ -390,6 +1395,11 @@ class Baseline {
 
     /**
      * Get unmatched baseline entries (errors that no longer exist)
+     *
+     * Pattern entries are reported (with `pattern: true`) when they matched
+     * nothing, or fewer errors than their `count`. A lazy baseline only
+     * reports the files looked up so far.
+     *
      * @returns {Array}
      */
     getUnmatched() {
@@ -401,8 +1411,7 @@ class Baseline {
                     // Find the original error info
                     const fileErrors = this.data[file] || [];
                     for (const error of fileErrors) {
-                        const errorHash = this._generateHash(error.ruleId, error.line, error.message);
-                        if (errorHash === hash) {
+                        if (this._entryHash(error) === hash) {
                             unmatched.push({
                                 file,
                                 ...error,
@@ -415,6 +1424,20 @@ class Baseline {
             }
         }
 
+        for (const { entry, matched } of this.patterns || []) {
+            const expected = Number.isInteger(entry.count) ? entry.count : 1;
+
+            if (matched < expected) {
+                unmatched.push({
+                    file: entry.path || '**',
+                    ruleId: entry.ruleId || '',
+                    message: entry.message,
+                    pattern: true,
+                    unmatchedCount: expected - matched,
+                });
+            }
+        }
+
         return unmatched;
     }
 
@@ -423,58 +1446,181 @@ class Baseline {
      */
     reset() {
         this.data = null;
+        this.version = null;
+        this.storedMatching = null;
         this.index = null;
+        this.entryIndex = null;
+        this.fingerprintIndex = null;
+        this.patterns = null;
+        this.manifestIssues = [];
+        this.cache = null;
+        this.shards.clear();
+        this.materialized.clear();
+        this.sourceCache.clear();
         this.loaded = false;
     }
 
+    /**
+     * Replace the entries of the linted files and keep every other file
+     * @param {Object} data - New entries by file
+     * @param {Iterable<string>} lintedFiles - Relative paths of all linted files (with or without errors)
+     * @returns {Object} Merged baseline data
+     */
+    mergeScoped(data, lintedFiles) {
+        if (!this.loaded) {
+            this.load();
+        }
+        this._materializeAll();
+
+        const linted = new Set(lintedFiles);
+        const merged = {};
+
+        for (const [file, errors] of Object.entries(this.data)) {
+            if (!linted.has(file)) {
+                merged[file] = errors;
+            }
+        }
+
+        for (const [file, errors] of Object.entries(data)) {
+            if (linted.has(file) && errors.length > 0) {
+                merged[file] = errors;
+            }
+        }
+
+        return merged;
+    }
+
     /**
      * Prune baseline - remove entries that no longer exist in current errors
+     *
+     * Like matching, every current error keeps at most one entry: entries
+     * following their context first (context matching), then entries still
+     * on their line.
+     *
      * @param {Object} currentErrors - Current ESLint errors by file
+     * @param {Object} [options]
+     * @param {Iterable<string>} [options.scope] - Only prune these files (relative paths), keep the others
      * @returns {Object} Pruned baseline data and stats
      */
-    prune(currentErrors) {
+    prune(currentErrors, options = {}) {
         if (!this.loaded) {
             this.load();
         }
+        this._materializeAll();
 
+        const scope = options.scope ? new Set(options.scope) : null;
         const pruned = {};
         let removedCount = 0;
         let keptCount = 0;
 
         // Build index of current errors
         const currentIndex = new Map();
+        const currentContext = new Map();
+        const currentCounts = new Map();
         for (const [file, errors] of Object.entries(currentErrors)) {
-            const hashes = new Set();
+            const hashes = new Map();
+            const contexts = new Map();
+            const counts = new Map();
+            const withContext = this.fingerprintIndex.has(file);
+
             for (const error of errors) {
                 const hash = this._generateHash(error.ruleId, error.line, error.message);
-                hashes.add(hash);
+                hashes.set(hash, (hashes.get(hash) || 0) + 1);
+
+                const countHash = this._generateHash(error.ruleId, '*', error.message);
+                counts.set(countHash, (counts.get(countHash) || 0) + 1);
+
+                if (withContext) {
+                    const key = this._getContextKey(file, error.ruleId, error.line, error.message);
+                    if (key) {
+                        contexts.set(key, [...(contexts.get(key) || []), { ...error, hash }]);
+                    }
+                }
             }
             currentIndex.set(file, hashes);
+            currentContext.set(file, contexts);
+            currentCounts.set(file, counts);
         }
 
         // Filter baseline to only keep errors that still exist
         for (const [file, errors] of Object.entries(this.data)) {
             const currentHashes = currentIndex.get(file);
 
+            // Not linted in this run: nothing is known about it
+            if (scope && !scope.has(file)) {
+                pruned[file] = errors;
+                for (const error of errors) {
+                    keptCount += this._entryCount(error);
+                }
+                continue;
+            }
+
             if (!currentHashes) {
                 // File no longer has errors, remove all
-                removedCount += errors.length;
+                for (const error of errors) {
+                    removedCount += this._entryCount(error);
+                }
                 continue;
             }
 
-            const keptErrors = [];
-            for (const error of errors) {
+            const contexts = currentContext.get(file);
+            const counts = currentCounts.get(file);
+            const keptErrors = new Array(errors.length).fill(null);
+
+            // Entries with a fingerprint follow their context first: after a line shift,
+            // the error on an entry's line may be another one
+            errors.forEach((error, position) => {
+                if (typeof error.line !== 'number' || !error.fingerprint) {
+                    return;
+                }
+
+                const key = this._generateFingerprintKey(error.ruleId, error.message, error.fingerprint);
+                const candidates = contexts.get(key) || [];
+                const available = candidates.filter((candidate) => currentHashes.get(candidate.hash) > 0);
+                const moved = available.find((candidate) => candidate.line === error.line) || available[0];
+
+                if (moved) {
+                    this._consume(currentHashes, moved.hash);
+                    keptErrors[position] = moved.line === error.line
+                        ? error
+                        : { ...error, line: moved.line, column: moved.column };
+                    keptCount++;
+                }
+            });
+
+            // Then entries still on their line, and count entries
+            errors.forEach((error, position) => {
+                if (keptErrors[position]) {
+                    return;
+                }
+
+                // Count entries shrink to the number of occurrences left
+                if (typeof error.line !== 'number') {
+                    const countHash = this._entryHash(error);
+                    const kept = Math.min(error.count, counts.get(countHash) || 0);
+
+                    counts.set(countHash, (counts.get(countHash) || 0) - kept);
+                    removedCount += error.count - kept;
+                    keptCount += kept;
+
+                    if (kept > 0) {
+                        keptErrors[position] = { ...error, count: kept };
+                    }
+                    return;
+                }
+
                 const hash = this._generateHash(error.ruleId, error.line, error.message);
-                if (currentHashes.has(hash)) {
-                    keptErrors.push(error);
+                if (currentHashes.get(hash) > 0) {
+                    this._consume(currentHashes, hash);
+                    keptErrors[position] = error;
                     keptCount++;
                 } else {
                     removedCount++;
                 }
-            }
+            });
 
-            if (keptErrors.length > 0) {
-                pruned[file] = keptErrors;
+            if (keptErrors.some(Boolean)) {
+                pruned[file] = keptErrors.filter(Boolean);
             }
         }
 
@@ -485,6 +1631,40 @@ class Baseline {
         };
     }
 
+    /**
+     * Move entries of renamed files to their new path
+     * @param {Map<string, string>|Object} renames - Old relative path -> new relative path
+     * @returns {Array<{from: string, to: string, count: number}>} Remapped files
+     */
+    applyRenames(renames) {
+        if (!this.loaded) {
+            this.load();
+        }
+        this._materializeAll();
+
+        const entries = renames instanceof Map ? renames.entries() : Object.entries(renames);
+        const remapped = [];
+
+        for (const [from, to] of entries) {
+            const errors = this.data[from];
+
+            if (!errors || from === to) {
+                continue;
+            }
+
+            this.data[to] = [...(this.data[to] || []), ...errors];
+            delete this.data[from];
+
+            remapped.push({ from, to, count: errors.length });
+        }
+
+        if (remapped.length > 0) {
+            this._buildIndex();
+        }
+
+        return remapped;
+    }
+
     /**
      * Filter errors by specific rules
      * @param {Object} errors - Errors by file
@@ -513,6 +1693,7 @@ class Baseline {
         if (!this.loaded) {
             this.load();
         }
+        this._materializeAll();
 
         let totalErrors = 0;
         const fileCount = Object.keys(this.data).length;
@@ -522,19 +1703,21 @@ class Baseline {
 
         for (const [file, errors] of Object.entries(this.data)) {
             fileStats[file] = {
-                count: errors.length,
+                count: 0,
                 rules: {},
             };
 
             for (const error of errors) {
-                totalErrors++;
-                ruleStats[error.ruleId] = (ruleStats[error.ruleId] || 0) + 1;
-                fileStats[file].rules[error.ruleId] = (fileStats[file].rules[error.ruleId] || 0) + 1;
+                const count = this._entryCount(error);
+                totalErrors += count;
+                fileStats[file].count += count;
+                ruleStats[error.ruleId] = (ruleStats[error.ruleId] || 0) + count;
+                fileStats[file].rules[error.ruleId] = (fileStats[file].rules[error.ruleId] || 0) + count;
 
                 if (error.severity === 1) {
-                    severityStats.warning++;
+                    severityStats.warning += count;
                 } else {
-                    severityStats.error++;
+                    severityStats.error += count;
                 }
             }
         }
@@ -564,31 +1747,37 @@ class Baseline {
      * @returns {boolean}
      */
     exists() {
-        if (this.splitByRule) {
-            return fs.existsSync(this.getSplitBaselineDir());
-        }
-        return fs.existsSync(this.getBaselinePath());
+        return fs.existsSync(this.getStoragePath());
     }
 
     /**
      * Delete baseline file(s)
      */
     delete() {
-        if (this.splitByRule) {
-            const dir = this.getSplitBaselineDir();
-            if (fs.existsSync(dir)) {
-                fs.rmSync(dir, { recursive: true });
-            }
-        } else {
-            const file = this.getBaselinePath();
-            if (fs.existsSync(file)) {
-                fs.unlinkSync(file);
-            }
+        if (!this.exists()) {
+            return;
         }
+
+        withLock(this.getStoragePath(), () => {
+            if (this.splitBy) {
+                const dir = this.getSplitBaselineDir();
+                if (fs.existsSync(dir)) {
+                    fs.rmSync(dir, { recursive: true });
+                }
+            } else {
+                const file = this.getBaselinePath();
+                if (fs.existsSync(file)) {
+                    fs.unlinkSync(file);
+                }
+            }
+        });
     }
 }
 
 module.exports = {
     Baseline,
     DEFAULT_BASELINE_FILE,
+    MATCHING_MODES,
+    SPLIT_STRATEGIES,
+    CURRENT_VERSION,
 };
@@ -0,0 +1,71 @@
+/**
+ * Boy-scout check: touched files must shrink their baseline
+ *
+ * Every file modified on the branch (since the merge base with a git
+ * revision) that had baselined errors at the merge base must have fewer
+ * now, optionally by a minimum percentage.
+ */
+
+const { getMergeBase, getChangedFiles } = require('./git');
+const { loadBaselineAt } = require('./snapshot');
+
+/**
+ * Count the baselined errors of each file
+ * @param {Baseline|null} baseline - Loaded baseline
+ * @returns {Map<string, number>}
+ */
+function countByFile(baseline) {
+    if (!baseline) {
+        return new Map();
+    }
+    return new Map(baseline.getDetailedStats().fileStats.map(({ file, count }) => [file, count]));
+}
+
+/**
+ * Highest error count a file may have after a reduction
+ * @param {number} before - Errors at the merge base (at least 1)
+ * @param {number} threshold - Minimum reduction in percent (0: any reduction)
+ * @returns {number}
+ */
+function getAllowedCount(before, threshold) {
+    return Math.min(before - 1, Math.floor(before * (100 - threshold) / 100));
+}
+
+/**
+ * Check that the files modified since the merge base with a revision shrank their baseline
+ * @param {Baseline} baseline - Working baseline
+ * @param {string} ref - Git revision (e.g. origin/main)
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Minimum reduction in percent (default: 0, any reduction)
+ * @returns {Array<{file: string, before: number, after: number, allowed: number, passed: boolean}>}
+ *   Modified files with baselined errors at the merge base, sorted by path
+ * @throws {Error} If the revision doesn't exist or git is unavailable
+ */
+function checkBoyScout(baseline, ref, options = {}) {
+    const threshold = options.threshold || 0;
+    const rootDir = baseline.getRootDir();
+    const mergeBase = getMergeBase(rootDir, ref);
+
+    if (!mergeBase) {
+        throw new Error(`Unknown git revision "${ref}"`);
+    }
+
+    // Relative to the baseline directory, like the baseline keys
+    const changed = getChangedFiles(rootDir, { since: mergeBase }) || [];
+    const before = countByFile(loadBaselineAt(baseline, mergeBase));
+    const after = countByFile(baseline.exists() ? baseline : null);
+
+    return changed
+        .filter((file) => before.get(file) > 0)
+        .map((file) => {
+            const allowed = getAllowedCount(before.get(file), threshold);
+            const count = after.get(file) || 0;
+
+            return { file, before: before.get(file), after: count, allowed, passed: count <= allowed };
+        });
+}
+
+module.exports = {
+    getAllowedCount,
+    checkBoyScout,
+};
@@ -0,0 +1,121 @@
+/**
+ * Baseline budgets
+ *
+ * Upper limits on the number of baselined errors, per rule or per path
+ * glob, set in `.eslintbaselinerc.json` next to the baseline:
+ *
+ *   "budgets": {
+ *     "rules": { "@typescript-eslint/no-explicit-any": 200 },
+ *     "paths": { "src/payments/**": 0 },
+ *     "tighten": true
+ *   }
+ *
+ * With `tighten`, every update lowers the budgets to the counts reached.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, CONFIG_FILE } = require('./config');
+const { globToRegExp } = require('./glob');
+const { writeFileAtomic } = require('./atomic');
+
+/**
+ * Load the budgets of a baseline directory
+ * @param {string} dir - Directory of the baseline (and its config file)
+ * @returns {{rules: Object<string, number>, paths: Object<string, number>, tighten: boolean}|null}
+ *   Null when no budgets are configured
+ */
+function loadBudgets(dir) {
+    const { budgets } = loadConfig(dir);
+
+    if (budgets === undefined) {
+        return null;
+    }
+
+    if (typeof budgets !== 'object' || budgets === null || Array.isArray(budgets)) {
+        console.error('[eslint-baseline] Invalid budgets: expected object');
+        return null;
+    }
+
+    const loaded = { rules: {}, paths: {}, tighten: budgets.tighten === true };
+
+    for (const key of ['rules', 'paths']) {
+        for (const [name, limit] of Object.entries(budgets[key] || {})) {
+            if (!Number.isInteger(limit) || limit < 0) {
+                console.error(`[eslint-baseline] Invalid budget for ${name}: expected a non-negative integer`);
+                continue;
+            }
+            loaded[key][name] = limit;
+        }
+    }
+
+    return loaded;
+}
+
+/**
+ * Compare baseline statistics with the budgets
+ * @param {Object|null} budgets - From loadBudgets()
+ * @param {Object} stats - Baseline#getDetailedStats() output
+ * @returns {Array<{type: string, name: string, budget: number, count: number}>}
+ *   One result per budget, rules first
+ */
+function evaluateBudgets(budgets, stats) {
+    if (!budgets) {
+        return [];
+    }
+
+    const results = [];
+    const ruleCounts = new Map(stats.ruleStats.map(({ rule, count }) => [rule, count]));
+
+    for (const [name, budget] of Object.entries(budgets.rules)) {
+        results.push({ type: 'rule', name, budget, count: ruleCounts.get(name) || 0 });
+    }
+
+    for (const [name, budget] of Object.entries(budgets.paths)) {
+        const regex = globToRegExp(name);
+        const count = stats.fileStats
+            .filter(({ file }) => regex.test(file))
+            .reduce((sum, { count: fileCount }) => sum + fileCount, 0);
+
+        results.push({ type: 'path', name, budget, count });
+    }
+
+    return results;
+}
+
+/**
+ * Lower the budgets to the current counts in the config file
+ *
+ * Only the budget numbers are rewritten; the rest of the file is kept.
+ *
+ * @param {string} dir - Directory of the config file
+ * @param {Array} results - From evaluateBudgets()
+ * @returns {Array<{type: string, name: string, from: number, to: number}>} Tightened budgets
+ */
+function tightenBudgets(dir, results) {
+    const tightened = results
+        .filter(({ budget, count }) => count < budget)
+        .map(({ type, name, budget, count }) => ({ type, name, from: budget, to: count }));
+
+    if (tightened.length === 0) {
+        return [];
+    }
+
+    const configPath = path.join(dir, CONFIG_FILE);
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+    for (const { type, name, to } of tightened) {
+        const key = type === 'rule' ? 'rules' : 'paths';
+        config.budgets[key][name] = to;
+    }
+
+    writeFileAtomic(configPath, `${JSON.stringify(config, null, 2)}\n`);
+
+    return tightened;
+}
+
+module.exports = {
+    loadBudgets,
+    evaluateBudgets,
+    tightenBudgets,
+};
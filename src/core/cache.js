@@ -0,0 +1,200 @@
+/**
+ * Sidecar cache for lazy baseline loading
+ *
+ * The parsed baseline is written as shards keyed by source file path, so a
+ * lazy Baseline only reads the entries of the files it is asked about
+ * instead of parsing the whole baseline. The cache records the size and
+ * mtime of every baseline file and is rebuilt as soon as one changes.
+ *
+ *   node_modules/.cache/eslint-baseline/<hash>/
+ *   ├── meta.json     (signature, version, counts)
+ *   └── shards/
+ *       ├── 00.json   ({ "src/a.js": [...entries] })
+ *       └── ...
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { replaceDirectory } = require('./atomic');
+
+const CACHE_VERSION = 1;
+const META_FILE = 'meta.json';
+const SHARDS_DIR = 'shards';
+
+/**
+ * Short md5 hex digest
+ * @param {string} value
+ * @param {number} length
+ * @returns {string}
+ */
+function digest(value, length) {
+    return crypto.createHash('md5').update(value).digest('hex').substring(0, length);
+}
+
+/**
+ * Default cache directory of a baseline
+ * @param {string} storagePath - Baseline file, or split baseline directory
+ * @returns {string}
+ */
+function getDefaultCacheDir(storagePath) {
+    return path.join(
+        path.dirname(storagePath),
+        'node_modules',
+        '.cache',
+        'eslint-baseline',
+        digest(storagePath, 12),
+    );
+}
+
+/**
+ * List the files of a directory with their stats, recursively
+ * @param {string} dir
+ * @param {string} [subDir]
+ * @returns {string[]} `path:size:mtime` lines
+ */
+function listStats(dir, subDir = '') {
+    const lines = [];
+
+    for (const entry of fs.readdirSync(path.join(dir, subDir), { withFileTypes: true })) {
+        const relative = subDir ? `${subDir}/${entry.name}` : entry.name;
+
+        if (entry.isDirectory()) {
+            lines.push(...listStats(dir, relative));
+        } else {
+            const stat = fs.statSync(path.join(dir, relative));
+            lines.push(`${relative}:${stat.size}:${stat.mtimeMs}`);
+        }
+    }
+
+    return lines.sort();
+}
+
+/**
+ * Signature of a baseline on disk (changes whenever a baseline file changes)
+ * @param {string} storagePath - Baseline file, or split baseline directory
+ * @returns {string|null} Null if the baseline doesn't exist
+ */
+function computeSignature(storagePath) {
+    let stat;
+    try {
+        stat = fs.statSync(storagePath);
+    } catch {
+        return null;
+    }
+
+    if (!stat.isDirectory()) {
+        return `${stat.size}:${stat.mtimeMs}`;
+    }
+
+    return digest(listStats(storagePath).join('\n'), 32);
+}
+
+/**
+ * Shard file holding the entries of a source file
+ * @param {string} file - Baseline key of the source file
+ * @returns {string}
+ */
+function shardName(file) {
+    return `${digest(file, 2)}.json`;
+}
+
+/**
+ * Read the cache metadata, if the cache is up to date
+ * @param {string} cacheDir
+ * @param {string} signature - Current baseline signature
+ * @returns {Object|null} Metadata, or null if missing or stale
+ */
+function readCache(cacheDir, signature) {
+    try {
+        const meta = JSON.parse(fs.readFileSync(path.join(cacheDir, META_FILE), 'utf8'));
+        if (meta.cacheVersion === CACHE_VERSION && meta.signature === signature) {
+            return meta;
+        }
+    } catch {
+        // Missing or unreadable: rebuilt by the caller
+    }
+
+    return null;
+}
+
+/**
+ * Write the cache of a parsed baseline
+ * @param {string} cacheDir
+ * @param {string} signature - Signature the data was read at
+ * @param {Object} data - Baseline data, by file
+ * @param {Object} [meta] - Extra metadata (version, manifestIssues...)
+ */
+function writeCache(cacheDir, signature, data, meta = {}) {
+    const shards = {};
+    let entryCount = 0;
+
+    for (const [file, errors] of Object.entries(data)) {
+        const name = shardName(file);
+        if (!shards[name]) {
+            shards[name] = {};
+        }
+        shards[name][file] = errors;
+        entryCount += errors.length;
+    }
+
+    fs.mkdirSync(path.dirname(cacheDir), { recursive: true });
+
+    replaceDirectory(cacheDir, (tmpDir) => {
+        fs.mkdirSync(path.join(tmpDir, SHARDS_DIR));
+
+        for (const [name, files] of Object.entries(shards)) {
+            fs.writeFileSync(path.join(tmpDir, SHARDS_DIR, name), JSON.stringify(files));
+        }
+
+        // Written last: a cache without metadata is never used
+        fs.writeFileSync(path.join(tmpDir, META_FILE), JSON.stringify({
+            ...meta,
+            cacheVersion: CACHE_VERSION,
+            signature,
+            fileCount: Object.keys(data).length,
+            entryCount,
+        }));
+    });
+}
+
+/**
+ * Read one shard of the cache
+ * @param {string} cacheDir
+ * @param {string} name - Shard file name
+ * @returns {Object} Entries by file
+ * @throws {Error} If the shard can't be read, or the cache was removed
+ */
+function readShard(cacheDir, name) {
+    const shardPath = path.join(cacheDir, SHARDS_DIR, name);
+
+    if (!fs.existsSync(shardPath)) {
+        // No shard: no entries, unless the whole cache went away (rebuilt by another process)
+        if (!fs.existsSync(path.join(cacheDir, SHARDS_DIR))) {
+            throw new Error(`Baseline cache removed (${cacheDir})`);
+        }
+        return {};
+    }
+
+    return JSON.parse(fs.readFileSync(shardPath, 'utf8'));
+}
+
+/**
+ * List the shards of the cache
+ * @param {string} cacheDir
+ * @returns {string[]} Shard file names
+ */
+function listShards(cacheDir) {
+    return fs.readdirSync(path.join(cacheDir, SHARDS_DIR)).filter((name) => name.endsWith('.json'));
+}
+
+module.exports = {
+    getDefaultCacheDir,
+    computeSignature,
+    shardName,
+    readCache,
+    writeCache,
+    readShard,
+    listShards,
+    CACHE_VERSION,
+};
@@ -0,0 +1,43 @@
+/**
+ * Baseline configuration file
+ *
+ * Hand-written settings that live next to the baseline and are never
+ * rewritten by --update (ignore patterns, ...).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = '.eslintbaselinerc.json';
+
+/**
+ * Load the configuration file from a directory
+ * @param {string} dir - Directory containing the config file
+ * @returns {Object} Configuration (empty if missing or invalid)
+ */
+function loadConfig(dir) {
+    const configPath = path.join(dir, CONFIG_FILE);
+
+    if (!fs.existsSync(configPath)) {
+        return {};
+    }
+
+    try {
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+        if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+            console.error(`[eslint-baseline] Invalid ${CONFIG_FILE}: expected object`);
+            return {};
+        }
+
+        return config;
+    } catch (error) {
+        console.error(`[eslint-baseline] Error loading ${CONFIG_FILE}: ${error.message}`);
+        return {};
+    }
+}
+
+module.exports = {
+    loadConfig,
+    CONFIG_FILE,
+};
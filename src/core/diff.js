@@ -0,0 +1,208 @@
+/**
+ * Differences between two baselines
+ *
+ * Entries are compared per file and per rule + message. An entry whose line
+ * changed is reported as moved rather than as one removal and one addition;
+ * count entries (and line entries compared with count entries) are compared
+ * by their totals.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Baseline } = require('./baseline');
+const { loadBaselineAt } = require('./snapshot');
+
+/**
+ * Load the entries of one side of a diff
+ *
+ * A path to a baseline file (or split baseline directory) is read from disk;
+ * anything else is taken as a git revision of the working baseline.
+ *
+ * @param {Baseline} baseline - Working baseline (gives path, split strategy and format)
+ * @param {string} [spec] - Path or git revision (default: the working baseline)
+ * @returns {Object} Baseline data (file path → entries)
+ * @throws {Error} If the revision doesn't exist or git is unavailable
+ */
+function loadSide(baseline, spec) {
+    if (!spec) {
+        return baseline.exists() ? baseline.load() : {};
+    }
+
+    const fullPath = path.resolve(baseline.cwd, spec);
+
+    if (fs.existsSync(fullPath)) {
+        const split = fs.statSync(fullPath).isDirectory();
+        const other = new Baseline({
+            cwd: baseline.cwd,
+            // A split baseline lives in the directory named after its file
+            baselineFile: split ? `${fullPath}.json` : fullPath,
+            splitBy: split ? baseline.splitBy || 'rule' : null,
+            format: split ? baseline.format : null,
+            ignoreErrors: [],
+        });
+
+        return other.load();
+    }
+
+    const snapshot = loadBaselineAt(baseline, spec);
+    return snapshot ? snapshot.data : {};
+}
+
+/**
+ * Group the entries of a file by rule + message
+ * @param {Array} [entries]
+ * @returns {Map<string, {ruleId: string, message: string, lines: number[], count: number, counted: boolean}>}
+ */
+function groupEntries(entries = []) {
+    const groups = new Map();
+
+    for (const entry of entries) {
+        const key = `${entry.ruleId}\0${entry.message}`;
+        let group = groups.get(key);
+
+        if (!group) {
+            group = { ruleId: entry.ruleId, message: entry.message, lines: [], count: 0, counted: false };
+            groups.set(key, group);
+        }
+
+        if (typeof entry.line === 'number') {
+            group.lines.push(entry.line);
+            group.count++;
+        } else {
+            group.count += entry.count;
+            group.counted = true;
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * Remove the lines present on both sides
+ * @param {number[]} before
+ * @param {number[]} after
+ * @returns {{removed: number[], added: number[]}} Remaining lines, sorted
+ */
+function unmatchedLines(before, after) {
+    const remaining = new Map();
+    for (const line of after) {
+        remaining.set(line, (remaining.get(line) || 0) + 1);
+    }
+
+    const removed = [];
+    for (const line of before) {
+        if (remaining.get(line) > 0) {
+            remaining.set(line, remaining.get(line) - 1);
+        } else {
+            removed.push(line);
+        }
+    }
+
+    const added = [];
+    for (const [line, count] of remaining) {
+        for (let n = 0; n < count; n++) {
+            added.push(line);
+        }
+    }
+
+    const byLine = (a, b) => a - b;
+    return { removed: removed.sort(byLine), added: added.sort(byLine) };
+}
+
+/**
+ * Add a change to a breakdown
+ * @param {Map} breakdown
+ * @param {string} name
+ * @param {string} type - 'added', 'removed' or 'moved'
+ * @param {number} count
+ */
+function tally(breakdown, name, type, count) {
+    if (!breakdown.has(name)) {
+        breakdown.set(name, { added: 0, removed: 0, moved: 0 });
+    }
+    breakdown.get(name)[type] += count;
+}
+
+/**
+ * Compare two baselines
+ * @param {Object} before - Baseline data (file path → entries)
+ * @param {Object} after
+ * @returns {Object} Added, removed and moved entries, totals and breakdowns by rule and by file
+ */
+function diffBaselines(before, after) {
+    const added = [];
+    const removed = [];
+    const moved = [];
+    const byRule = new Map();
+    const byFile = new Map();
+
+    const files = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+    for (const file of files) {
+        const changes = { added: [], removed: [], moved: [] };
+        const beforeGroups = groupEntries(before[file]);
+        const afterGroups = groupEntries(after[file]);
+        const keys = [...new Set([...beforeGroups.keys(), ...afterGroups.keys()])];
+
+        for (const key of keys) {
+            const empty = { lines: [], count: 0, counted: false };
+            const from = beforeGroups.get(key) || empty;
+            const to = afterGroups.get(key) || empty;
+            const { ruleId, message } = beforeGroups.get(key) || afterGroups.get(key);
+
+            const record = (type, entry, count = 1) => {
+                changes[type].push({ file, ruleId, message, ...entry });
+                tally(byRule, ruleId, type, count);
+                tally(byFile, file, type, count);
+            };
+
+            if (from.counted || to.counted) {
+                const difference = to.count - from.count;
+                if (difference > 0) {
+                    record('added', { count: difference }, difference);
+                } else if (difference < 0) {
+                    record('removed', { count: -difference }, -difference);
+                }
+                continue;
+            }
+
+            const lines = unmatchedLines(from.lines, to.lines);
+            const movedCount = Math.min(lines.removed.length, lines.added.length);
+
+            for (let n = 0; n < movedCount; n++) {
+                record('moved', { from: lines.removed[n], to: lines.added[n] });
+            }
+            for (const line of lines.removed.slice(movedCount)) {
+                record('removed', { line });
+            }
+            for (const line of lines.added.slice(movedCount)) {
+                record('added', { line });
+            }
+        }
+
+        // Line order within each file (count entries first)
+        const position = (entry) => entry.line ?? entry.from ?? 0;
+        added.push(...changes.added.sort((a, b) => position(a) - position(b)));
+        removed.push(...changes.removed.sort((a, b) => position(a) - position(b)));
+        moved.push(...changes.moved.sort((a, b) => position(a) - position(b)));
+    }
+
+    const total = (list) => list.reduce((sum, entry) => sum + (entry.count || 1), 0);
+    const breakdown = (map, key) => [...map.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, counts]) => ({ [key]: name, ...counts }));
+
+    return {
+        added,
+        removed,
+        moved,
+        totals: { added: total(added), removed: total(removed), moved: moved.length },
+        byRule: breakdown(byRule, 'ruleId'),
+        byFile: breakdown(byFile, 'file'),
+    };
+}
+
+module.exports = {
+    loadSide,
+    diffBaselines,
+};
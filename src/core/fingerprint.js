@@ -0,0 +1,54 @@
+/**
+ * Source context fingerprints
+ *
+ * Identifies an error by the normalized source text around it instead of
+ * its absolute line number, so baselined errors survive line shifts.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_CONTEXT_LINES = 2;
+
+/**
+ * Normalize a source line (collapse whitespace, trim)
+ * @param {string} line
+ * @returns {string}
+ */
+function normalizeLine(line) {
+    return line.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split source text into lines
+ * @param {string} source
+ * @returns {string[]}
+ */
+function splitLines(source) {
+    return source.split(/\r\n|\r|\n/);
+}
+
+/**
+ * Compute the fingerprint of the source around a line
+ * @param {string[]} lines - Source lines
+ * @param {number} line - 1-based line number of the error
+ * @param {number} [contextLines] - Number of neighbouring lines on each side
+ * @returns {string}
+ */
+function computeFingerprint(lines, line, contextLines = DEFAULT_CONTEXT_LINES) {
+    const start = Math.max(0, line - 1 - contextLines);
+    const end = Math.min(lines.length, line + contextLines);
+    const snippet = lines.slice(start, end).map(normalizeLine).join('\n');
+
+    return crypto
+        .createHash('md5')
+        .update(snippet)
+        .digest('hex')
+        .substring(0, 12);
+}
+
+module.exports = {
+    computeFingerprint,
+    normalizeLine,
+    splitLines,
+    DEFAULT_CONTEXT_LINES,
+};
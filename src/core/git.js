@@ -0,0 +1,174 @@
+/**
+ * Local git helpers
+ *
+ * Thin wrappers around the git binary. All functions are synchronous and
+ * return null/empty results instead of throwing when git is unavailable
+ * or the directory is not a repository.
+ */
+
+const { execFileSync } = require('child_process');
+
+/**
+ * Run a git command
+ * @param {string[]} args
+ * @param {string} cwd
+ * @returns {string} stdout
+ */
+function git(args, cwd) {
+    return execFileSync('git', args, {
+        cwd,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore'],
+        maxBuffer: 256 * 1024 * 1024,
+    });
+}
+
+/**
+ * Check if a directory is inside a git work tree
+ * @param {string} cwd
+ * @returns {boolean}
+ */
+function isGitRepository(cwd) {
+    try {
+        return git(['rev-parse', '--is-inside-work-tree'], cwd).trim() === 'true';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Get the last commit that touched a path
+ * @param {string} cwd
+ * @param {string} filePath - File or directory
+ * @returns {string|null} Commit hash
+ */
+function getLastCommit(cwd, filePath) {
+    try {
+        const hash = git(['log', '-1', '--format=%H', '--', filePath], cwd).trim();
+        return hash || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Detect renamed files between a commit and the working tree
+ * @param {string} cwd
+ * @param {string} since - Commit to compare against
+ * @returns {Map<string, string>} Old path -> new path (POSIX, relative to cwd)
+ */
+function detectRenames(cwd, since) {
+    const renames = new Map();
+    let output;
+
+    try {
+        output = git(['diff', '--find-renames', '--name-status', '--relative', '-z', since], cwd);
+    } catch {
+        return renames;
+    }
+
+    // -z output: status\0path[\0newPath]\0...
+    const fields = output.split('\0');
+    let i = 0;
+
+    while (i < fields.length && fields[i]) {
+        const status = fields[i];
+
+        if (status.startsWith('R') || status.startsWith('C')) {
+            if (status.startsWith('R')) {
+                renames.set(fields[i + 1], fields[i + 2]);
+            }
+            i += 3;
+        } else {
+            i += 2;
+        }
+    }
+
+    return renames;
+}
+
+/**
+ * Detect renames since the commit that last touched the baseline
+ * @param {string} cwd - Directory paths are made relative to (the baseline directory)
+ * @param {string} baselinePath - Baseline file or split directory
+ * @returns {Map<string, string>} Old path -> new path (POSIX, relative to cwd)
+ */
+function findRenamesSinceBaseline(cwd, baselinePath) {
+    if (!isGitRepository(cwd)) {
+        return new Map();
+    }
+
+    const since = getLastCommit(cwd, baselinePath);
+
+    if (!since) {
+        return new Map();
+    }
+
+    return detectRenames(cwd, since);
+}
+
+/**
+ * Get the merge base of a revision and HEAD
+ * @param {string} cwd
+ * @param {string} ref
+ * @returns {string|null} Commit hash (the revision itself for unrelated histories),
+ *   or null if the revision is unknown
+ */
+function getMergeBase(cwd, ref) {
+    try {
+        return git(['merge-base', ref, 'HEAD'], cwd).trim();
+    } catch {
+        try {
+            return git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], cwd).trim();
+        } catch {
+            return null;
+        }
+    }
+}
+
+/**
+ * List the files changed since a git revision, or staged for commit
+ *
+ * Changes since a revision are taken from its merge base with HEAD (like
+ * a pull request diff) and include uncommitted and untracked files.
+ * Deleted files are left out.
+ *
+ * @param {string} cwd
+ * @param {Object} options
+ * @param {string} [options.since] - Git revision (e.g. origin/main)
+ * @param {boolean} [options.staged] - Files in the index instead
+ * @returns {string[]|null} Paths relative to cwd (POSIX, within cwd), or null if
+ *   not a repository or the revision is unknown
+ */
+function getChangedFiles(cwd, options) {
+    const files = new Set();
+    const addAll = (output) => output.split('\0').filter(Boolean).forEach((file) => files.add(file));
+
+    try {
+        if (options.staged) {
+            addAll(git(['diff', '--cached', '--name-only', '--relative', '--diff-filter=d', '-z'], cwd));
+        } else {
+            const base = getMergeBase(cwd, options.since);
+            if (!base) {
+                return null;
+            }
+
+            addAll(git(['diff', '--name-only', '--relative', '--diff-filter=d', '-z', base], cwd));
+            addAll(git(['ls-files', '--others', '--exclude-standard', '-z'], cwd));
+        }
+    } catch {
+        return null;
+    }
+
+    return [...files].sort();
+}
+
+module.exports = {
+    git,
+    isGitRepository,
+    getLastCommit,
+    detectRenames,
+    findRenamesSinceBaseline,
+    getMergeBase,
+    getChangedFiles,
+};
@@ -0,0 +1,77 @@
+/**
+ * Minimal glob matching for baseline paths
+ *
+ * Supports `*`, `**`, `?` and `{a,b}` on POSIX-style relative paths.
+ */
+
+const path = require('path');
+
+/**
+ * Convert a glob to a regular expression
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+    // A trailing slash means "everything below this directory"
+    const normalized = glob.endsWith('/') ? `${glob}**` : glob;
+    let source = '';
+    let inGroup = false;
+
+    for (let i = 0; i < normalized.length; i++) {
+        const char = normalized[i];
+
+        if (char === '*') {
+            if (normalized[i + 1] === '*') {
+                if (normalized[i + 2] === '/') {
+                    // `**/` matches zero or more directories
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i++;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            source += '(?:';
+            inGroup = true;
+        } else if (char === '}' && inGroup) {
+            source += ')';
+            inGroup = false;
+        } else if (char === ',' && inGroup) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Convert a relative path to POSIX separators
+ * @param {string} filePath
+ * @returns {string}
+ */
+function toPosix(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Check if a relative path matches a glob
+ * @param {string} filePath
+ * @param {string} glob
+ * @returns {boolean}
+ */
+function matchesGlob(filePath, glob) {
+    return globToRegExp(glob).test(toPosix(filePath));
+}
+
+module.exports = {
+    globToRegExp,
+    matchesGlob,
+    toPosix,
+};
@@ -0,0 +1,109 @@
+/**
+ * Baseline history from the local git log
+ *
+ * Every commit that touched the baseline (file or split directory) is
+ * loaded as it was at that commit and summarized, oldest first, to show
+ * how fast the baselined errors are going down.
+ */
+
+const path = require('path');
+const { git, isGitRepository } = require('./git');
+const { toPosix } = require('./glob');
+const { loadBaselineAt } = require('./snapshot');
+
+/**
+ * List the commits that changed the baseline
+ * @param {Baseline} baseline
+ * @returns {Array<{commit: string, date: string, subject: string}>} Oldest first
+ * @throws {Error} If git is unavailable or the baseline is not in a repository
+ */
+function listBaselineCommits(baseline) {
+    const rootDir = baseline.getRootDir();
+
+    if (!isGitRepository(rootDir)) {
+        throw new Error(`${rootDir} is not in a git repository`);
+    }
+
+    const storage = toPosix(path.relative(rootDir, baseline.getStoragePath()));
+
+    return git(['log', '--reverse', '--format=%H%x1f%cI%x1f%s', '--', storage], rootDir)
+        .split('\n')
+        .filter(Boolean)
+        .map((line) => {
+            const [commit, date, subject] = line.split('\x1f');
+            return { commit, date, subject };
+        });
+}
+
+/**
+ * Compute the statistics of the baseline at each commit that changed it
+ * @param {Baseline} baseline
+ * @returns {Array<{commit: string, date: string, subject: string, totalErrors: number,
+ *   fileCount: number, rules: Object<string, number>}>} Oldest first
+ * @throws {Error} If git is unavailable or the baseline is not in a repository
+ */
+function getHistory(baseline) {
+    return listBaselineCommits(baseline).map(({ commit, date, subject }) => {
+        // The baseline may have been deleted in the commit
+        const snapshot = loadBaselineAt(baseline, commit);
+        const stats = snapshot ? snapshot.getDetailedStats() : { totalErrors: 0, fileCount: 0, ruleStats: [] };
+
+        return {
+            commit,
+            date,
+            subject,
+            totalErrors: stats.totalErrors,
+            fileCount: stats.fileCount,
+            rules: Object.fromEntries(stats.ruleStats.map(({ rule, count }) => [rule, count])),
+        };
+    });
+}
+
+/**
+ * List the rules of a history, sorted
+ * @param {Array} history - From getHistory()
+ * @returns {string[]}
+ */
+function getHistoryRules(history) {
+    return [...new Set(history.flatMap((point) => Object.keys(point.rules)))].sort();
+}
+
+/**
+ * Quote a CSV field if needed
+ * @param {string|number} value
+ * @returns {string}
+ */
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export a history as CSV: one row per commit, one column per rule
+ * @param {Array} history - From getHistory()
+ * @returns {string}
+ */
+function historyToCsv(history) {
+    const rules = getHistoryRules(history);
+    const rows = [['commit', 'date', 'subject', 'total', 'files', ...rules]];
+
+    for (const point of history) {
+        rows.push([
+            point.commit,
+            point.date,
+            point.subject,
+            point.totalErrors,
+            point.fileCount,
+            ...rules.map((rule) => point.rules[rule] || 0),
+        ]);
+    }
+
+    return `${rows.map((row) => row.map(csvField).join(',')).join('\n')}\n`;
+}
+
+module.exports = {
+    listBaselineCommits,
+    getHistory,
+    getHistoryRules,
+    historyToCsv,
+};
@@ -0,0 +1,247 @@
+/**
+ * Git merge driver for baseline files
+ *
+ * Baseline files are merged as multisets of entries instead of text: for
+ * every entry the removals of both sides are kept and the additions are
+ * unioned, so branches fixing different errors merge cleanly.
+ *
+ *   base:   a, b, c        ours: a, c (fixed b)        theirs: a, b, c, d (added d)
+ *   merged: a, c, d
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Baseline } = require('./baseline');
+const { upgrade } = require('./schema');
+const { writeFileAtomic } = require('./atomic');
+const { getSerializer } = require('./serializers');
+const { git } = require('./git');
+const { toPosix } = require('./glob');
+
+const DRIVER_NAME = 'eslint-baseline';
+const DRIVER_COMMAND = 'npx --no-install eslint-baseline merge-driver %O %A %B %P';
+
+/**
+ * Identity of an entry: rule, line (or '*' for count entries) and message
+ * @param {Object} entry
+ * @returns {string}
+ */
+function entryKey(entry) {
+    return JSON.stringify([entry.ruleId, typeof entry.line === 'number' ? entry.line : '*', entry.message]);
+}
+
+/**
+ * Index the entries of one file
+ * @param {Array} entries
+ * @returns {Map<string, {count: number, entries: Array}>}
+ */
+function indexEntries(entries = []) {
+    const index = new Map();
+
+    for (const entry of entries) {
+        const key = entryKey(entry);
+
+        if (!index.has(key)) {
+            index.set(key, { count: 0, entries: [] });
+        }
+
+        const item = index.get(key);
+        item.count += typeof entry.line === 'number' || !Number.isInteger(entry.count) ? 1 : entry.count;
+        item.entries.push(entry);
+    }
+
+    return index;
+}
+
+/**
+ * Three-way merge of baseline data
+ * @param {Object} base - Common ancestor, by file
+ * @param {Object} ours
+ * @param {Object} theirs
+ * @returns {Object} Merged data, by file
+ */
+function mergeBaselineData(base, ours, theirs) {
+    const merged = {};
+    const files = new Set([...Object.keys(base), ...Object.keys(ours), ...Object.keys(theirs)]);
+
+    for (const file of files) {
+        const baseIndex = indexEntries(base[file]);
+        const oursIndex = indexEntries(ours[file]);
+        const theirsIndex = indexEntries(theirs[file]);
+        const keys = new Set([...baseIndex.keys(), ...oursIndex.keys(), ...theirsIndex.keys()]);
+        const entries = [];
+
+        for (const key of keys) {
+            const baseCount = baseIndex.get(key)?.count || 0;
+            const oursDelta = (oursIndex.get(key)?.count || 0) - baseCount;
+            const theirsDelta = (theirsIndex.get(key)?.count || 0) - baseCount;
+
+            // Removals of both sides are kept, additions are unioned
+            const count = baseCount + Math.max(0, oursDelta, theirsDelta) + Math.min(0, oursDelta, theirsDelta);
+
+            if (count <= 0) {
+                continue;
+            }
+
+            // Prefer our version of an entry (severity, fingerprint...), then theirs
+            const candidates = [
+                ...(oursIndex.get(key)?.entries || []),
+                ...(theirsIndex.get(key)?.entries || []),
+                ...(baseIndex.get(key)?.entries || []),
+            ];
+
+            if (typeof candidates[0].line === 'number') {
+                entries.push(...candidates.slice(0, count));
+            } else {
+                entries.push({ ...candidates[0], count });
+            }
+        }
+
+        if (entries.length > 0) {
+            merged[file] = entries;
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Three-way merge of split baseline manifests (`_loader.json`)
+ *
+ * Checksums are only kept for files neither side changed; the others are
+ * merged separately and get a fresh checksum on the next save.
+ *
+ * @param {Object} base
+ * @param {Object} ours
+ * @param {Object} theirs
+ * @returns {Object}
+ */
+function mergeManifests(base, ours, theirs) {
+    const baseFiles = new Set(base.files || []);
+    const oursFiles = new Set(ours.files || []);
+    const theirsFiles = new Set(theirs.files || []);
+    const files = [...new Set([...oursFiles, ...theirsFiles])]
+        .filter((file) => !baseFiles.has(file) || (oursFiles.has(file) && theirsFiles.has(file)))
+        .sort();
+
+    const checksums = {};
+    for (const file of files) {
+        const checksum = ours.checksums?.[file];
+        if (checksum && checksum === theirs.checksums?.[file]) {
+            checksums[file] = checksum;
+        }
+    }
+
+    return { ...ours, files, checksums };
+}
+
+/**
+ * Read a baseline file given to the merge driver
+ * @param {string} filePath
+ * @param {Object} serializer
+ * @returns {Object|null} Parsed content, null when empty (file added on both sides)
+ * @throws {Error} If the file can't be parsed
+ */
+function readInput(filePath, serializer) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    return content.trim() ? serializer.parse(content) : null;
+}
+
+/**
+ * Check if parsed content is a split baseline manifest
+ * @param {*} content
+ * @returns {boolean}
+ */
+function isManifest(content) {
+    return typeof content === 'object' && content !== null && Array.isArray(content.files);
+}
+
+/**
+ * Merge driver entry point: merge %O (base) and %B (theirs) into %A (ours)
+ * @param {string} basePath
+ * @param {string} oursPath - Receives the result
+ * @param {string} theirsPath
+ * @param {Object} [options]
+ * @param {string} [options.cwd]
+ * @param {string} [options.format] - Baseline file format (default: json)
+ * @returns {{fileCount: number, entryCount: number}}
+ * @throws {Error} If an input can't be read; the ours file is left untouched
+ */
+function mergeFiles(basePath, oursPath, theirsPath, options = {}) {
+    const cwd = options.cwd || process.cwd();
+    const format = options.format || 'json';
+    const serializer = getSerializer(format);
+    const [base, ours, theirs] = [basePath, oursPath, theirsPath]
+        .map((file) => readInput(path.resolve(cwd, file), serializer));
+
+    if (isManifest(ours) || isManifest(theirs)) {
+        const merged = mergeManifests(base || {}, ours || {}, theirs || {});
+        writeFileAtomic(path.resolve(cwd, oursPath), JSON.stringify(merged, null, 2));
+        return { fileCount: merged.files.length, entryCount: 0 };
+    }
+
+    const [baseContent, oursContent, theirsContent] = [base, ours, theirs]
+        .map((content) => (content ? upgrade(content) : { files: {} }));
+    const merged = mergeBaselineData(baseContent.files, oursContent.files, theirsContent.files);
+
+    // Keep the matching mode: merged count entries are already aggregated, and
+    // context entries keep their fingerprints
+    const matching = oursContent.matching || theirsContent.matching || baseContent.matching;
+    const baseline = new Baseline({ cwd, baselineFile: path.resolve(cwd, oursPath), format, matching });
+    baseline.save(merged, { allowEmpty: true });
+
+    return {
+        fileCount: Object.keys(merged).length,
+        entryCount: Object.values(merged).reduce((sum, entries) => sum + entries.length, 0),
+    };
+}
+
+/**
+ * Register the merge driver in git config and .gitattributes
+ * @param {string} cwd - Directory inside the repository
+ * @param {Baseline} baseline - Baseline to merge with the driver
+ * @returns {{attributesPath: string, added: string[]}} Patterns added to .gitattributes
+ * @throws {Error} If cwd is not inside a git repository
+ */
+function installMergeDriver(cwd, baseline) {
+    const topLevel = git(['rev-parse', '--show-toplevel'], cwd).trim();
+
+    git(['config', `merge.${DRIVER_NAME}.name`, 'ESLint baseline merge driver'], cwd);
+    git(['config', `merge.${DRIVER_NAME}.driver`, DRIVER_COMMAND], cwd);
+
+    const storage = toPosix(path.relative(topLevel, baseline.getStoragePath()));
+    const patterns = baseline.splitBy ? [`${storage}/**/*.json`] : [storage];
+
+    // Split files in another format, next to the JSON manifest
+    const [extension] = baseline.serializer.extensions;
+    if (baseline.splitBy && extension !== '.json') {
+        patterns.push(`${storage}/**/*${extension}`);
+    }
+
+    const attributesPath = path.join(topLevel, '.gitattributes');
+    const existing = fs.existsSync(attributesPath) ? fs.readFileSync(attributesPath, 'utf8') : '';
+    const lines = existing.split(/\r?\n/);
+    const added = [];
+
+    for (const pattern of patterns) {
+        const line = `${pattern} merge=${DRIVER_NAME}`;
+        if (!lines.includes(line)) {
+            added.push(line);
+        }
+    }
+
+    if (added.length > 0) {
+        const separator = existing && !existing.endsWith('\n') ? '\n' : '';
+        fs.writeFileSync(attributesPath, `${existing}${separator}${added.join('\n')}\n`);
+    }
+
+    return { attributesPath, added };
+}
+
+module.exports = {
+    mergeBaselineData,
+    mergeManifests,
+    mergeFiles,
+    installMergeDriver,
+    DRIVER_NAME,
+};
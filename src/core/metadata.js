@@ -0,0 +1,60 @@
+/**
+ * Hand-written metadata of baseline entries
+ *
+ * Entries may carry why they are baselined and until when:
+ *
+ *   { "ruleId": "no-console", "line": 3, ..., "reason": "Legacy logger",
+ *     "ticket": "JIRA-123", "owner": "@team-web", "expires": "2025-06-30" }
+ *
+ * The fields are kept when an update or prune still matches the entry.
+ */
+
+const METADATA_FIELDS = ['reason', 'ticket', 'owner', 'expires'];
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the metadata fields of an entry
+ * @param {Object} entry
+ * @returns {Object} Only the metadata fields that are set
+ */
+function pickMetadata(entry) {
+    const metadata = {};
+
+    for (const field of METADATA_FIELDS) {
+        if (entry[field] !== undefined && entry[field] !== null) {
+            metadata[field] = entry[field];
+        }
+    }
+
+    return metadata;
+}
+
+/**
+ * Check if an entry's expiry date has passed
+ *
+ * A date without time (`2025-06-30`) expires at the end of that day (UTC).
+ * Entries without a valid `expires` never expire.
+ *
+ * @param {Object} entry
+ * @param {number} [now] - Timestamp to compare with (default: now)
+ * @returns {boolean}
+ */
+function isExpired(entry, now = Date.now()) {
+    if (typeof entry.expires !== 'string') {
+        return false;
+    }
+
+    const time = Date.parse(entry.expires);
+    if (Number.isNaN(time)) {
+        return false;
+    }
+
+    const end = /^\d{4}-\d{2}-\d{2}$/.test(entry.expires) ? time + DAY : time;
+    return end <= now;
+}
+
+module.exports = {
+    pickMetadata,
+    isExpired,
+    METADATA_FIELDS,
+};
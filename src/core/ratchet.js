@@ -0,0 +1,54 @@
+/**
+ * Ratchet check: a baseline may only shrink
+ *
+ * Compares the per-rule error counts of the working baseline with the
+ * baseline committed at a git revision (e.g. the target branch of a pull
+ * request), so re-baselining new errors is caught in review.
+ */
+
+const { loadBaselineAt } = require('./snapshot');
+
+/**
+ * Get the per-rule error counts of a baseline at a git revision
+ * @param {Baseline} baseline - Working baseline (gives path, split strategy and format)
+ * @param {string} ref - Git revision
+ * @returns {Object<string, number>} Error count by rule (empty if the baseline didn't exist)
+ * @throws {Error} If the revision doesn't exist or git is unavailable
+ */
+function getRuleStatsAt(baseline, ref) {
+    const snapshot = loadBaselineAt(baseline, ref);
+    return snapshot ? snapshot.getStats().ruleStats : {};
+}
+
+/**
+ * Find the rules whose error count went up
+ * @param {Object<string, number>} before - Error count by rule
+ * @param {Object<string, number>} after
+ * @returns {Array<{ruleId: string, before: number, after: number}>} Sorted by rule
+ */
+function compareRuleStats(before, after) {
+    return Object.keys(after)
+        .filter((ruleId) => after[ruleId] > (before[ruleId] || 0))
+        .sort()
+        .map((ruleId) => ({ ruleId, before: before[ruleId] || 0, after: after[ruleId] }));
+}
+
+/**
+ * Compare the working baseline with the one at a git revision
+ * @param {Baseline} baseline
+ * @param {string} ref
+ * @returns {Array<{ruleId: string, before: number, after: number}>} Rules with more errors than at ref
+ * @throws {Error} If the revision doesn't exist or git is unavailable
+ */
+function checkRatchet(baseline, ref) {
+    const before = getRuleStatsAt(baseline, ref);
+    const after = baseline.exists() ? baseline.getStats().ruleStats : {};
+
+    return compareRuleStats(before, after);
+}
+
+module.exports = {
+    getRuleStatsAt,
+    compareRuleStats,
+    checkRatchet,
+};
@@ -41,6 +41,19 @@ class Reporter {
         return this.color ? COLORS[colorName] : '';
     }
 
+    /**
+     * Get the display name of an ESLint severity
+     * @private
+     * @param {number} severity
+     * @returns {string}
+     */
+    _severityName(severity) {
+        if (severity === 2) {
+            return 'error';
+        }
+        return severity === 1 ? 'warning' : 'off';
+    }
+
     /**
      * Format update mode output (baseline generation)
      * @param {Object} stats - Baseline statistics
@@ -53,6 +66,11 @@ class Reporter {
         output += `${this._c('cyan')}${stats.totalErrors}${this._c('reset')} errors in `;
         output += `${this._c('cyan')}${stats.fileCount}${this._c('reset')} files\n`;
 
+        if (stats.scopedFileCount !== undefined) {
+            output += `${this._c('dim')}Updated entries for ${stats.scopedFileCount} linted files, `;
+            output += `kept entries for all other files${this._c('reset')}\n`;
+        }
+
         if (this.verbose && Object.keys(stats.ruleStats).length > 0) {
             output += `\n${this._c('bold')}Errors by rule:${this._c('reset')}\n`;
 
@@ -73,12 +91,40 @@ class Reporter {
      * @param {Array} results.newErrors - New errors (not in baseline)
      * @param {number} results.baselinedCount - Count of baselined errors
      * @param {Array} [results.unmatched] - Unmatched baseline entries
+     * @param {Array} [results.renamed] - Files whose entries followed a rename
+     * @param {Array} [results.escalations] - Baselined messages whose severity was raised
+     * @param {boolean} [results.escalationsAsErrors] - Escalations are also reported as new errors
+     * @param {Array} [results.expired] - Baselined messages whose entry has expired
+     * @param {boolean} [results.expiredAsErrors] - Expired entries are also reported as new errors
+     * @param {Array} [results.packages] - Per-baseline results (workspaces)
+     * @param {Array} [results.manifestIssues] - Inconsistencies between split files and their manifest
+     * @param {boolean} [results.manifestIssuesAsErrors] - Manifest issues fail the check
+     * @param {Array} [results.budgets] - Budget results (exceeded budgets fail the check)
+     * @param {Array} [results.tightenedBudgets] - Budgets lowered to the current counts
      * @returns {string}
      */
     formatCheck(results) {
         let output = '';
 
-        const { newErrors, baselinedCount, unmatched, showUnmatchedDetails } = results;
+        const {
+            newErrors,
+            baselinedCount,
+            unmatched,
+            showUnmatchedDetails,
+            renamed,
+            escalations = [],
+            escalationsAsErrors = false,
+            expired = [],
+            expiredAsErrors = false,
+            packages = [],
+            manifestIssues = [],
+            manifestIssuesAsErrors = false,
+            budgets = [],
+            tightenedBudgets = [],
+        } = results;
+
+        output += this.formatManifestIssues(manifestIssues);
+        output += this.formatRenames(renamed);
 
         // Count new errors and warnings by rule
         let totalNewErrors = 0;
@@ -101,22 +147,7 @@ class Reporter {
         // Display new errors
         if (newErrors.length > 0) {
             output += `${this._c('bold')}New errors (not in baseline):${this._c('reset')}\n\n`;
-
-            for (const file of newErrors) {
-                output += `${this._c('cyan')}${file.relativePath}${this._c('reset')}\n`;
-
-                for (const msg of file.messages) {
-                    const severity = msg.severity === 2
-                        ? `${this._c('red')}error${this._c('reset')}`
-                        : `${this._c('yellow')}warning${this._c('reset')}`;
-
-                    output += `  ${this._c('dim')}${msg.line}:${msg.column}${this._c('reset')}  `;
-                    output += `${severity}  ${msg.message}  `;
-                    output += `${this._c('dim')}${msg.ruleId || ''}${this._c('reset')}\n`;
-                }
-
-                output += '\n';
-            }
+            output += this._formatFileMessages(newErrors);
 
             // Show breakdown by rule in verbose mode
             if (this.verbose && Object.keys(newErrorsByRule).length > 0) {
@@ -131,6 +162,33 @@ class Reporter {
             }
         }
 
+        // Report severity escalations of baselined messages
+        if (escalations.length > 0) {
+            output += `${this._c('yellow')}${this._c('bold')}Severity escalations (baselined with lower severity):${this._c('reset')}\n\n`;
+
+            const byFile = {};
+            for (const escalation of escalations) {
+                if (!byFile[escalation.relativePath]) {
+                    byFile[escalation.relativePath] = [];
+                }
+                byFile[escalation.relativePath].push(escalation);
+            }
+
+            for (const [file, fileEscalations] of Object.entries(byFile)) {
+                output += `${this._c('cyan')}${file}${this._c('reset')}\n`;
+                for (const escalation of fileEscalations) {
+                    output += `  ${this._c('dim')}${escalation.line}:${escalation.column}${this._c('reset')}  `;
+                    output += `${this._severityName(escalation.baselineSeverity)} → `;
+                    output += `${this._c('red')}${this._severityName(escalation.severity)}${this._c('reset')}  `;
+                    output += `${escalation.message}  `;
+                    output += `${this._c('dim')}${escalation.ruleId}${this._c('reset')}\n`;
+                }
+                output += '\n';
+            }
+        }
+
+        output += this.formatExpired(expired);
+
         // Report unmatched baseline entries (details only with --report-unmatched)
         if (showUnmatchedDetails && unmatched && unmatched.length > 0) {
             output += `${this._c('magenta')}${this._c('bold')}Unmatched baseline entries:${this._c('reset')}\n`;
@@ -148,7 +206,14 @@ class Reporter {
             for (const [file, entries] of Object.entries(byFile)) {
                 output += `${this._c('cyan')}${file}${this._c('reset')}\n`;
                 for (const entry of entries) {
-                    output += `  ${this._c('dim')}${entry.line}:${entry.column}${this._c('reset')}  `;
+                    let location = `${entry.unmatchedCount}x`;
+                    if (entry.pattern) {
+                        location = 'pattern';
+                    } else if (typeof entry.line === 'number') {
+                        location = `${entry.line}:${entry.column}`;
+                    }
+
+                    output += `  ${this._c('dim')}${location}${this._c('reset')}  `;
                     output += `${this._c('magenta')}unmatched${this._c('reset')}  `;
                     output += `${entry.message}  `;
                     output += `${this._c('dim')}${entry.ruleId}${this._c('reset')}\n`;
@@ -157,6 +222,12 @@ class Reporter {
             }
         }
 
+        output += this.formatBudgets(budgets, tightenedBudgets);
+
+        const fixedCount = this._fixedCount(unmatched);
+        const exceededBudgets = budgets.filter((budget) => budget.count > budget.budget).length;
+        const unusedPatterns = (unmatched || []).filter((entry) => entry.pattern).length;
+
         // Summary
         output += `${this._c('bold')}Summary:${this._c('reset')}\n`;
 
@@ -164,8 +235,31 @@ class Reporter {
             output += `  ${this._c('dim')}${baselinedCount} errors ignored (baseline)${this._c('reset')}\n`;
         }
 
-        if (unmatched && unmatched.length > 0) {
-            output += `  ${this._c('magenta')}${unmatched.length} baseline errors fixed${this._c('reset')}\n`;
+        if (fixedCount > 0) {
+            output += `  ${this._c('magenta')}${fixedCount} baseline errors fixed${this._c('reset')}\n`;
+        }
+
+        if (escalations.length > 0) {
+            const suffix = escalationsAsErrors ? ' (reported as new errors)' : '';
+            output += `  ${this._c('yellow')}${escalations.length} severity escalations${suffix}${this._c('reset')}\n`;
+        }
+
+        if (expired.length > 0) {
+            const suffix = expiredAsErrors ? ' (reported as new errors)' : '';
+            output += `  ${this._c('yellow')}${expired.length} expired baseline entries${suffix}${this._c('reset')}\n`;
+        }
+
+        if (manifestIssues.length > 0) {
+            const suffix = manifestIssuesAsErrors ? ' (strict manifest)' : '';
+            output += `  ${this._c('red')}${manifestIssues.length} split baseline manifest issues${suffix}${this._c('reset')}\n`;
+        }
+
+        if (exceededBudgets > 0) {
+            output += `  ${this._c('red')}${exceededBudgets} budgets exceeded${this._c('reset')}\n`;
+        }
+
+        if (unusedPatterns > 0) {
+            output += `  ${this._c('magenta')}${unusedPatterns} ignore patterns unused${this._c('reset')}\n`;
         }
 
         if (totalNewErrors > 0 || totalNewWarnings > 0) {
@@ -178,15 +272,399 @@ class Reporter {
             output += `  ${this._c('green')}No new errors!${this._c('reset')}\n`;
         }
 
+        // Breakdown when several baselines were checked
+        if (packages.length > 1) {
+            output += `\n${this._c('bold')}By package:${this._c('reset')}\n`;
+
+            for (const pkg of packages) {
+                const newCount = pkg.newErrors.reduce((sum, file) => sum + file.messages.length, 0);
+                const color = newCount > 0 ? 'red' : 'green';
+
+                output += `  ${this._c('cyan')}${pkg.name}${this._c('reset')}  `;
+                output += `${this._c(color)}${newCount} new${this._c('reset')}, `;
+                output += `${this._c('dim')}${pkg.baselinedCount} ignored, `;
+                output += `${this._fixedCount(pkg.unmatched)} fixed${this._c('reset')}\n`;
+            }
+        }
+
         // Suggestion to update baseline if errors were fixed
-        if (unmatched && unmatched.length > 0) {
-            output += `\n${this._c('cyan')}Tip:${this._c('reset')} ${unmatched.length} baseline errors have been fixed.\n`;
+        if (fixedCount > 0) {
+            output += `\n${this._c('cyan')}Tip:${this._c('reset')} ${fixedCount} baseline errors have been fixed.\n`;
             output += `     Run ${this._c('bold')}npx eslint-baseline --update${this._c('reset')} to update the baseline.\n`;
         }
 
         return output;
     }
 
+    /**
+     * Format lint messages grouped by file
+     * @private
+     * @param {Array<{relativePath: string, messages: Array}>} files
+     * @returns {string}
+     */
+    _formatFileMessages(files) {
+        let output = '';
+
+        for (const file of files) {
+            output += `${this._c('cyan')}${file.relativePath}${this._c('reset')}\n`;
+
+            for (const msg of file.messages) {
+                const severity = msg.severity === 2
+                    ? `${this._c('red')}error${this._c('reset')}`
+                    : `${this._c('yellow')}warning${this._c('reset')}`;
+
+                output += `  ${this._c('dim')}${msg.line}:${msg.column}${this._c('reset')}  `;
+                output += `${severity}  ${msg.message}  `;
+                output += `${this._c('dim')}${msg.ruleId || ''}${this._c('reset')}\n`;
+            }
+
+            output += '\n';
+        }
+
+        return output;
+    }
+
+    /**
+     * Format the new errors a ratchet update refused to baseline
+     * @param {Array<{relativePath: string, messages: Array}>} rejected
+     * @returns {string}
+     */
+    formatRatchet(rejected) {
+        if (!rejected || rejected.length === 0) {
+            return '';
+        }
+
+        const count = rejected.reduce((sum, file) => sum + file.messages.length, 0);
+
+        let output = `${this._c('red')}${this._c('bold')}New errors (not added to the baseline, --ratchet):${this._c('reset')}\n\n`;
+        output += this._formatFileMessages(rejected);
+        output += `${this._c('red')}${count} new errors refused.${this._c('reset')} `;
+        output += 'Fix them, or run --update without --ratchet to baseline them.\n\n';
+
+        return output;
+    }
+
+    /**
+     * Format the rules with more baseline entries than in a git revision
+     * @param {Array<{ruleId: string, before: number, after: number}>} increases - Rules whose count went up
+     * @param {string} ref - Git revision compared against
+     * @returns {string}
+     */
+    formatRatchetCheck(increases, ref) {
+        if (increases.length === 0) {
+            return `${this._c('green')}No rule has more baseline entries than in ${ref}.${this._c('reset')}\n`;
+        }
+
+        let output = `${this._c('red')}${this._c('bold')}Baseline entries added since ${ref}:${this._c('reset')}\n`;
+
+        for (const { ruleId, before, after } of increases) {
+            output += `  ${this._c('dim')}${ruleId}${this._c('reset')}: ${before} → `;
+            output += `${this._c('red')}${after}${this._c('reset')} (+${after - before})\n`;
+        }
+
+        return output;
+    }
+
+    /**
+     * Format the boy-scout check: baselined errors of the files modified on the branch
+     * @param {Array<{file: string, before: number, after: number, allowed: number, passed: boolean}>} files
+     * @param {string} ref - Git revision compared against (merge base)
+     * @param {number} [threshold] - Minimum reduction in percent
+     * @returns {string}
+     */
+    formatBoyScout(files, ref, threshold = 0) {
+        if (files.length === 0) {
+            return `${this._c('green')}No file modified since ${ref} has baselined errors.${this._c('reset')}\n`;
+        }
+
+        const goal = threshold > 0 ? `at least ${threshold}% fewer` : 'fewer';
+        const width = Math.max(...files.map(({ file }) => file.length));
+        const failed = files.filter(({ passed }) => !passed).length;
+
+        let output = `${this._c('bold')}Modified files must have ${goal} baselined errors than at the merge base with ${ref}:${this._c('reset')}\n`;
+
+        for (const { file, before, after, allowed, passed } of files) {
+            const status = passed
+                ? `${this._c('green')}ok${this._c('reset')}`
+                : `${this._c('red')}needs ${allowed} or fewer${this._c('reset')}`;
+
+            output += `  ${this._c('cyan')}${file.padEnd(width)}${this._c('reset')}  ${before} → ${after}  ${status}\n`;
+        }
+
+        output += '\n';
+        if (failed > 0) {
+            output += `${this._c('red')}${failed} of ${files.length} modified files didn't shrink their baseline enough. `;
+            output += `Fix some of their errors and run --prune.${this._c('reset')}\n`;
+        } else {
+            output += `${this._c('green')}All ${files.length} modified files shrank their baseline.${this._c('reset')}\n`;
+        }
+
+        return output;
+    }
+
+    /**
+     * Format the differences between two baselines
+     * @param {Object} diff - From diffBaselines()
+     * @param {string} from - Label of the first baseline
+     * @param {string} to - Label of the second baseline
+     * @returns {string}
+     */
+    formatDiff(diff, from, to) {
+        const { totals } = diff;
+        let output = `${this._c('bold')}Baseline diff: ${from} → ${to}${this._c('reset')}\n\n`;
+
+        if (totals.added === 0 && totals.removed === 0 && totals.moved === 0) {
+            return `${output}${this._c('green')}No differences.${this._c('reset')}\n`;
+        }
+
+        const counts = ({ added, removed, moved }) => [
+            `${this._c('red')}+${added}${this._c('reset')}`,
+            `${this._c('green')}-${removed}${this._c('reset')}`,
+            `${this._c('yellow')}~${moved}${this._c('reset')}`,
+        ].join('  ');
+
+        for (const [title, rows, key] of [['By rule', diff.byRule, 'ruleId'], ['By file', diff.byFile, 'file']]) {
+            const width = Math.max(...rows.map((row) => row[key].length));
+
+            output += `${this._c('bold')}${title}:${this._c('reset')}\n`;
+            for (const row of rows) {
+                output += `  ${row[key].padEnd(width)}  ${counts(row)}\n`;
+            }
+            output += '\n';
+        }
+
+        const sections = [
+            ['Added', diff.added, 'red', (entry) => (entry.count ? `×${entry.count}` : `${entry.line}`)],
+            ['Removed', diff.removed, 'green', (entry) => (entry.count ? `×${entry.count}` : `${entry.line}`)],
+            ['Moved', diff.moved, 'yellow', (entry) => `${entry.from} → ${entry.to}`],
+        ];
+
+        for (const [title, entries, color, position] of sections) {
+            if (entries.length === 0) {
+                continue;
+            }
+
+            output += `${this._c(color)}${this._c('bold')}${title}:${this._c('reset')}\n`;
+
+            let file = null;
+            for (const entry of entries) {
+                if (entry.file !== file) {
+                    file = entry.file;
+                    output += `${this._c('cyan')}${file}${this._c('reset')}\n`;
+                }
+                output += `  ${this._c('dim')}${position(entry)}${this._c('reset')}  ${entry.message}  `;
+                output += `${this._c('dim')}${entry.ruleId}${this._c('reset')}\n`;
+            }
+            output += '\n';
+        }
+
+        output += `${this._c('bold')}Summary:${this._c('reset')}\n`;
+        output += `  ${totals.added} errors added, ${totals.removed} removed, ${totals.moved} moved\n`;
+
+        return output;
+    }
+
+    /**
+     * Format a baseline history as a burn-down table and chart
+     * @param {Array} history - From getHistory(), oldest first
+     * @returns {string}
+     */
+    formatHistory(history) {
+        if (history.length === 0) {
+            return `${this._c('yellow')}No commits of the baseline found.${this._c('reset')}\n`;
+        }
+
+        // Signed change, padded on its visible width before coloring
+        const change = (difference, width = 0) => {
+            const text = (difference > 0 ? `+${difference}` : String(difference)).padStart(width);
+            if (difference === 0) {
+                return text;
+            }
+            return `${this._c(difference > 0 ? 'red' : 'green')}${text}${this._c('reset')}`;
+        };
+
+        const max = Math.max(...history.map((point) => point.totalErrors), 1);
+        const totalWidth = Math.max(6, ...history.map((point) => String(point.totalErrors).length));
+
+        let output = `${this._c('bold')}Baseline history (${history.length} commits)${this._c('reset')}\n\n`;
+        output += `  ${'Date'.padEnd(10)}  ${'Commit'.padEnd(7)}  ${'Errors'.padStart(totalWidth)}  ${'Change'.padStart(6)}\n`;
+
+        history.forEach((point, index) => {
+            const changeText = index > 0
+                ? change(point.totalErrors - history[index - 1].totalErrors, 6)
+                : ' '.repeat(6);
+            const bar = '█'.repeat(Math.ceil(point.totalErrors / max * 30));
+
+            output += `  ${point.date.slice(0, 10)}  ${point.commit.slice(0, 7)}  `;
+            output += `${String(point.totalErrors).padStart(totalWidth)}  ${changeText}  `;
+            output += `${this._c('cyan')}${bar}${this._c('reset')}\n`;
+        });
+
+        const rules = [...new Set(history.flatMap((point) => Object.keys(point.rules)))].sort();
+
+        if (rules.length > 0) {
+            const first = history[0];
+            const last = history[history.length - 1];
+            const ruleWidth = Math.max(...rules.map((rule) => rule.length));
+            const levels = '▁▂▃▄▅▆▇█';
+
+            output += `\n${this._c('bold')}By rule (${first.commit.slice(0, 7)} → ${last.commit.slice(0, 7)}):${this._c('reset')}\n`;
+
+            for (const rule of rules) {
+                const counts = history.map((point) => point.rules[rule] || 0);
+                const ruleMax = Math.max(...counts, 1);
+                const sparkline = counts
+                    .map((count) => (count === 0 ? ' ' : levels[Math.ceil(count / ruleMax * levels.length) - 1]))
+                    .join('');
+                const before = counts[0];
+                const after = counts[counts.length - 1];
+
+                output += `  ${rule.padEnd(ruleWidth)}  ${before} → ${after} (${change(after - before)})  `;
+                output += `${this._c('cyan')}${sparkline}${this._c('reset')}\n`;
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Count the errors fixed since the baseline was generated
+     * @private
+     * @param {Array} [unmatched] - Unmatched baseline entries
+     * @returns {number}
+     */
+    _fixedCount(unmatched) {
+        // Count entries can stand for several fixed errors; unused patterns are not fixes
+        return (unmatched || [])
+            .filter((entry) => !entry.pattern)
+            .reduce((sum, entry) => sum + (entry.unmatchedCount || 1), 0);
+    }
+
+    /**
+     * Format baselined messages whose entry is past its `expires` date
+     * @param {Array} expired - Messages with the entry's metadata
+     * @returns {string}
+     */
+    formatExpired(expired) {
+        if (!expired || expired.length === 0) {
+            return '';
+        }
+
+        let output = `${this._c('yellow')}${this._c('bold')}Expired baseline entries:${this._c('reset')}\n\n`;
+
+        const byFile = {};
+        for (const entry of expired) {
+            if (!byFile[entry.relativePath]) {
+                byFile[entry.relativePath] = [];
+            }
+            byFile[entry.relativePath].push(entry);
+        }
+
+        for (const [file, entries] of Object.entries(byFile)) {
+            output += `${this._c('cyan')}${file}${this._c('reset')}\n`;
+            for (const entry of entries) {
+                const details = [entry.owner, entry.ticket, entry.reason].filter(Boolean).join(', ');
+
+                output += `  ${this._c('dim')}${entry.line}:${entry.column}${this._c('reset')}  `;
+                output += `${this._c('yellow')}expired ${entry.expires}${this._c('reset')}  `;
+                output += `${entry.message}  `;
+                output += `${this._c('dim')}${entry.ruleId}${details ? `  (${details})` : ''}${this._c('reset')}\n`;
+            }
+            output += '\n';
+        }
+
+        return output;
+    }
+
+    /**
+     * Format budget results: how far each rule or path is over or under its budget
+     * @param {Array<{type: string, name: string, budget: number, count: number, package?: string}>} budgets
+     * @param {Array<{type: string, name: string, from: number, to: number, package?: string}>} [tightened]
+     * @returns {string}
+     */
+    formatBudgets(budgets, tightened = []) {
+        if (!budgets || budgets.length === 0) {
+            return '';
+        }
+
+        const label = (budget) => (budget.package ? `${budget.package} › ${budget.name}` : budget.name);
+        const width = Math.max(...budgets.map((budget) => label(budget).length));
+
+        let output = `${this._c('bold')}Budgets:${this._c('reset')}\n`;
+
+        for (const budget of budgets) {
+            const difference = budget.count - budget.budget;
+            let status = `${this._c('green')}${-difference} under${this._c('reset')}`;
+            if (difference > 0) {
+                status = `${this._c('red')}${difference} over${this._c('reset')}`;
+            } else if (difference === 0) {
+                status = `${this._c('yellow')}at budget${this._c('reset')}`;
+            }
+
+            output += `  ${this._c('dim')}${budget.type}${this._c('reset')}  ${label(budget).padEnd(width)}  `;
+            output += `${budget.count}/${budget.budget}  ${status}\n`;
+        }
+
+        if (tightened.length > 0) {
+            output += `\n${this._c('bold')}Budgets tightened:${this._c('reset')}\n`;
+
+            for (const budget of tightened) {
+                output += `  ${this._c('dim')}${budget.type}${this._c('reset')}  ${label(budget)}  `;
+                output += `${budget.from} → ${this._c('green')}${budget.to}${this._c('reset')}\n`;
+            }
+        }
+
+        return `${output}\n`;
+    }
+
+    /**
+     * Format a section heading (e.g. the baseline of a workspace package)
+     * @param {string} title
+     * @returns {string}
+     */
+    formatHeading(title) {
+        return `${this._c('bold')}${this._c('cyan')}${title}${this._c('reset')}\n`;
+    }
+
+    /**
+     * Format inconsistencies between a split baseline and its manifest (_loader.json)
+     * @param {Array<{file: string, message: string}>} issues
+     * @returns {string}
+     */
+    formatManifestIssues(issues) {
+        if (!issues || issues.length === 0) {
+            return '';
+        }
+
+        let output = `${this._c('yellow')}${this._c('bold')}Split baseline manifest issues:${this._c('reset')}\n`;
+
+        for (const { file, message } of issues) {
+            output += `  ${this._c('cyan')}${file}${this._c('reset')}  ${message}\n`;
+        }
+
+        return `${output}\n`;
+    }
+
+    /**
+     * Format files whose baseline entries followed a rename
+     * @param {Array<{from: string, to: string, count: number}>} renamed
+     * @returns {string}
+     */
+    formatRenames(renamed) {
+        if (!renamed || renamed.length === 0) {
+            return '';
+        }
+
+        let output = `${this._c('bold')}Renamed files (baseline entries carried over):${this._c('reset')}\n`;
+
+        for (const { from, to, count } of renamed) {
+            output += `  ${this._c('dim')}${from}${this._c('reset')} → ${this._c('cyan')}${to}${this._c('reset')}`;
+            output += ` ${this._c('dim')}(${count} entries)${this._c('reset')}\n`;
+        }
+
+        return `${output}\n`;
+    }
+
     /**
      * Format empty baseline message
      * @returns {string}
@@ -209,6 +687,11 @@ class Reporter {
      * @param {Object} results
      * @param {Array} results.newErrors
      * @param {Array} [results.unmatched]
+     * @param {Array} [results.manifestIssues]
+     * @param {boolean} [results.manifestIssuesAsErrors]
+     * @param {Array} [results.expired]
+     * @param {boolean} [results.expiredAsErrors]
+     * @param {Array} [results.budgets]
      * @param {Object} [options]
      * @param {boolean} [options.reportUnmatchedAsError]
      * @returns {number}
@@ -233,6 +716,19 @@ class Reporter {
             return 1;
         }
 
+        if (results.manifestIssuesAsErrors && results.manifestIssues && results.manifestIssues.length > 0) {
+            return 1;
+        }
+
+        // Expired warnings fail too: the entry's deadline is what failed
+        if (results.expiredAsErrors && results.expired && results.expired.length > 0) {
+            return 1;
+        }
+
+        if ((results.budgets || []).some((budget) => budget.count > budget.budget)) {
+            return 1;
+        }
+
         if (reportUnmatchedAsError && unmatched && unmatched.length > 0) {
             return 1;
         }
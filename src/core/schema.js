@@ -0,0 +1,85 @@
+/**
+ * Baseline file schema versions
+ *
+ * Version 1 is the original bare `{ [filePath]: errors[] }` object.
+ * Version 2 wraps it in an envelope:
+ *
+ *   { "$schema": "...", "version": 2, "files": { [filePath]: errors[] } }
+ *
+ * The envelope also records the matching mode (`"matching": "context"` or
+ * `"count"`) when the baseline wasn't saved in line mode.
+ *
+ * Older versions are upgraded on load through MIGRATIONS, one step at a
+ * time, so a new version only has to describe how to get from the previous one.
+ */
+
+const CURRENT_VERSION = 2;
+const SCHEMA_URL = './node_modules/@nytodev/eslint-plugin-baseline/schema/baseline.schema.json';
+
+/**
+ * Migrations from version N to N + 1
+ * @type {Object<number, Function>}
+ */
+const MIGRATIONS = {
+    1: (data) => ({ version: 2, files: data }),
+};
+
+/**
+ * Detect the schema version of parsed baseline content
+ * @param {*} content
+ * @returns {number}
+ */
+function detectVersion(content) {
+    if (typeof content === 'object' && content !== null && typeof content.version === 'number') {
+        return content.version;
+    }
+    return 1;
+}
+
+/**
+ * Upgrade parsed baseline content to the current version
+ * @param {*} content - Parsed baseline content
+ * @returns {{version: number, matching: (string|undefined), files: *}} Source version, matching mode and the file map
+ * @throws {Error} If the content was written by a newer version
+ */
+function upgrade(content) {
+    const version = detectVersion(content);
+
+    if (version > CURRENT_VERSION) {
+        throw new Error(`Baseline version ${version} is newer than supported version ${CURRENT_VERSION}. Upgrade eslint-plugin-baseline.`);
+    }
+
+    let upgraded = content;
+    for (let v = version; v < CURRENT_VERSION; v++) {
+        upgraded = MIGRATIONS[v](upgraded);
+    }
+
+    return {
+        version,
+        matching: upgraded.matching,
+        files: upgraded.files,
+    };
+}
+
+/**
+ * Wrap a file map in the current envelope
+ * @param {Object} files
+ * @param {string} [matching] - Matching mode the entries were saved with
+ * @returns {Object}
+ */
+function wrap(files, matching = 'line') {
+    return {
+        $schema: SCHEMA_URL,
+        version: CURRENT_VERSION,
+        ...(matching !== 'line' && { matching }),
+        files,
+    };
+}
+
+module.exports = {
+    CURRENT_VERSION,
+    SCHEMA_URL,
+    detectVersion,
+    upgrade,
+    wrap,
+};
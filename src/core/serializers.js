@@ -0,0 +1,325 @@
+/**
+ * On-disk formats of baseline files
+ *
+ * Every serializer turns the versioned envelope ({ $schema, version, files })
+ * into text and back, so loading, upgrading and validation are the same
+ * whatever the format:
+ *
+ * - json:    pretty-printed JSON (default)
+ * - ndjson:  a header line, then one entry per line (small, line-based diffs)
+ * - yaml:    block YAML with quoted strings
+ * - compact: `path:line:rule:message` lines (no column, severity, fingerprint or metadata)
+ */
+
+const { CURRENT_VERSION } = require('./schema');
+
+/**
+ * Escape a compact format field
+ * @param {string} value
+ * @param {boolean} [escapeColons] - Escape the field separator too
+ * @returns {string}
+ */
+function escapeField(value, escapeColons = false) {
+    const escaped = String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n');
+    return escapeColons ? escaped.replace(/:/g, '\\:') : escaped;
+}
+
+/**
+ * Unescape a compact format field
+ * @param {string} value
+ * @returns {string}
+ */
+function unescapeField(value) {
+    return value.replace(/\\(.)/g, (match, char) => (char === 'n' ? '\n' : char));
+}
+
+const json = {
+    name: 'json',
+    extensions: ['.json'],
+
+    serialize(content) {
+        return JSON.stringify(content, null, 2);
+    },
+
+    parse(text) {
+        return JSON.parse(text);
+    },
+};
+
+const ndjson = {
+    name: 'ndjson',
+    extensions: ['.ndjson', '.jsonl'],
+
+    serialize({ files, ...header }) {
+        const lines = [JSON.stringify(header)];
+
+        for (const [file, entries] of Object.entries(files)) {
+            for (const entry of entries) {
+                lines.push(JSON.stringify({ file, ...entry }));
+            }
+        }
+
+        return `${lines.join('\n')}\n`;
+    },
+
+    parse(text) {
+        const content = { version: CURRENT_VERSION, files: {} };
+
+        text.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) {
+                return;
+            }
+
+            const record = JSON.parse(line);
+
+            if (index === 0 && typeof record.file !== 'string') {
+                Object.assign(content, record, { files: content.files });
+                return;
+            }
+
+            const { file, ...entry } = record;
+            if (!content.files[file]) {
+                content.files[file] = [];
+            }
+            content.files[file].push(entry);
+        });
+
+        return content;
+    },
+};
+
+/**
+ * Parse a YAML scalar written by the yaml serializer (or a simple hand edit)
+ * @param {string} raw
+ * @returns {*}
+ */
+function parseYamlScalar(raw) {
+    const value = raw.trim();
+
+    if (/^["[{]/.test(value)) {
+        return JSON.parse(value);
+    }
+    if (/^-?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    if (value === 'null' || value === '~') {
+        return null;
+    }
+    return value.replace(/^'(.*)'$/, (match, inner) => inner.replace(/''/g, "'"));
+}
+
+/**
+ * Split a YAML `key: value` line
+ * @param {string} text
+ * @param {number} lineNumber - For error messages
+ * @returns {[string, string]}
+ */
+function splitYamlPair(text, lineNumber) {
+    const quoted = text.match(/^("(?:[^"\\]|\\.)*")\s*:(.*)$/);
+    if (quoted) {
+        return [JSON.parse(quoted[1]), quoted[2]];
+    }
+
+    const plain = text.match(/^([^:]+?)\s*:(?:\s(.*))?$/);
+    if (!plain) {
+        throw new Error(`Invalid YAML baseline at line ${lineNumber}`);
+    }
+    return [plain[1], plain[2] || ''];
+}
+
+const yaml = {
+    name: 'yaml',
+    extensions: ['.yaml', '.yml'],
+
+    serialize({ files, ...header }) {
+        // JSON strings and flow collections are valid YAML scalars
+        const scalar = (value) => JSON.stringify(value);
+        const lines = Object.entries(header).map(([key, value]) => `${key}: ${scalar(value)}`);
+
+        if (Object.keys(files).length === 0) {
+            lines.push('files: {}');
+        } else {
+            lines.push('files:');
+        }
+
+        for (const [file, entries] of Object.entries(files)) {
+            lines.push(`  ${scalar(file)}:`);
+
+            for (const entry of entries) {
+                Object.entries(entry).forEach(([key, value], index) => {
+                    lines.push(`${index === 0 ? '    - ' : '      '}${key}: ${scalar(value)}`);
+                });
+            }
+        }
+
+        return `${lines.join('\n')}\n`;
+    },
+
+    parse(text) {
+        const content = {};
+        let files = null;
+        let fileIndent = null;
+        let entries = null;
+        let entry = null;
+
+        text.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim() || line.trim().startsWith('#')) {
+                return;
+            }
+
+            const indent = line.search(/\S/);
+            let body = line.trim();
+
+            if (indent === 0) {
+                const [key, value] = splitYamlPair(body, index + 1);
+                if (key === 'files') {
+                    files = value.trim() ? parseYamlScalar(value) : {};
+                    content.files = files;
+                } else {
+                    content[key] = parseYamlScalar(value);
+                }
+                return;
+            }
+
+            if (!files) {
+                throw new Error(`Invalid YAML baseline at line ${index + 1}`);
+            }
+
+            // Source file key
+            if (fileIndent === null || indent <= fileIndent) {
+                fileIndent = indent;
+                const [file, value] = splitYamlPair(body, index + 1);
+                entries = value.trim() ? parseYamlScalar(value) : [];
+                files[file] = entries;
+                entry = null;
+                return;
+            }
+
+            // Entry start
+            if (body.startsWith('- ')) {
+                entry = {};
+                entries.push(entry);
+                body = body.slice(2).trim();
+            }
+
+            if (!entry) {
+                throw new Error(`Invalid YAML baseline at line ${index + 1}`);
+            }
+
+            const [key, value] = splitYamlPair(body, index + 1);
+            entry[key] = parseYamlScalar(value);
+        });
+
+        return content;
+    },
+};
+
+const compact = {
+    name: 'compact',
+    extensions: ['.txt'],
+
+    serialize({ version, matching, files }) {
+        const lines = [`# eslint-baseline version ${version}${matching ? `, matching ${matching}` : ''}`];
+
+        for (const [file, entries] of Object.entries(files)) {
+            for (const entry of entries) {
+                const location = typeof entry.line === 'number' ? entry.line : `*${entry.count}`;
+                lines.push([
+                    escapeField(file, true),
+                    location,
+                    entry.ruleId,
+                    escapeField(entry.message ?? ''),
+                ].join(':'));
+            }
+        }
+
+        return `${lines.join('\n')}\n`;
+    },
+
+    parse(text) {
+        const content = { version: CURRENT_VERSION, files: {} };
+
+        text.split(/\r?\n/).forEach((line, index) => {
+            const header = line.match(/^#\s*eslint-baseline version (\d+)(?:,\s*matching (\w+))?/);
+            if (header) {
+                content.version = Number(header[1]);
+                if (header[2]) {
+                    content.matching = header[2];
+                }
+                return;
+            }
+            if (!line.trim() || line.startsWith('#')) {
+                return;
+            }
+
+            const match = line.match(/^((?:[^:\\]|\\.)*):(\*?)(\d+):([^:]*):(.*)$/);
+            if (!match) {
+                throw new Error(`Invalid compact baseline at line ${index + 1}`);
+            }
+
+            const [, rawFile, isCount, number, ruleId, message] = match;
+            const file = unescapeField(rawFile);
+            const entry = isCount
+                ? { ruleId, message: unescapeField(message), count: Number(number) }
+                : { ruleId, line: Number(number), message: unescapeField(message) };
+
+            if (!content.files[file]) {
+                content.files[file] = [];
+            }
+            content.files[file].push(entry);
+        });
+
+        return content;
+    },
+};
+
+const SERIALIZERS = { json, ndjson, yaml, compact };
+const FORMATS = Object.keys(SERIALIZERS);
+
+/**
+ * Get the serializer of a format, or of a file by its extension
+ * @param {string|null} format - 'json', 'ndjson', 'yaml' or 'compact'
+ * @param {string} [filePath] - Used when no format is given
+ * @returns {Object} Serializer (json by default)
+ * @throws {Error} If the format is unknown
+ */
+function getSerializer(format, filePath = '') {
+    if (format) {
+        if (!SERIALIZERS[format]) {
+            throw new Error(`Unknown baseline format "${format}" (expected ${FORMATS.join(', ')})`);
+        }
+        return SERIALIZERS[format];
+    }
+
+    const lower = filePath.toLowerCase();
+    return Object.values(SERIALIZERS).find((serializer) => (
+        serializer.extensions.some((extension) => lower.endsWith(extension))
+    )) || json;
+}
+
+/**
+ * Strip a known baseline extension (e.g. to get the split directory)
+ * @param {string} filePath
+ * @returns {string}
+ */
+function stripExtension(filePath) {
+    for (const serializer of Object.values(SERIALIZERS)) {
+        for (const extension of serializer.extensions) {
+            if (filePath.toLowerCase().endsWith(extension)) {
+                return filePath.slice(0, -extension.length);
+            }
+        }
+    }
+    return filePath;
+}
+
+module.exports = {
+    getSerializer,
+    stripExtension,
+    FORMATS,
+};
@@ -0,0 +1,67 @@
+/**
+ * Baselines as committed at a git revision
+ *
+ * The baseline files of the revision are copied to a temporary directory
+ * and loaded from there, so every format and split layout is supported.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Baseline } = require('./baseline');
+const { git } = require('./git');
+const { toPosix } = require('./glob');
+
+/**
+ * Load a baseline as it was at a git revision
+ * @param {Baseline} baseline - Working baseline (gives path, split strategy and format)
+ * @param {string} ref - Git revision
+ * @returns {Baseline|null} Loaded baseline, or null if it didn't exist at the revision
+ * @throws {Error} If the revision doesn't exist or git is unavailable
+ */
+function loadBaselineAt(baseline, ref) {
+    const rootDir = baseline.getRootDir();
+
+    try {
+        git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], rootDir);
+    } catch {
+        throw new Error(`Unknown git revision "${ref}"`);
+    }
+
+    // Paths relative to the baseline directory (ls-tree and `ref:./path` both resolve from cwd)
+    const storage = toPosix(path.relative(rootDir, baseline.getStoragePath()));
+    const files = git(['ls-tree', '-r', '--name-only', '-z', ref, '--', storage], rootDir)
+        .split('\0')
+        .filter(Boolean);
+
+    if (files.length === 0) {
+        return null;
+    }
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-ref-'));
+
+    try {
+        for (const file of files) {
+            const target = path.join(tmpDir, file);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, git(['show', `${ref}:./${file}`], rootDir));
+        }
+
+        const snapshot = new Baseline({
+            cwd: tmpDir,
+            baselineFile: path.join(tmpDir, path.basename(baseline.getBaselinePath())),
+            splitBy: baseline.splitBy,
+            format: baseline.format,
+            ignoreErrors: [],
+        });
+        snapshot.load();
+
+        return snapshot;
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    loadBaselineAt,
+};
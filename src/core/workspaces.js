@@ -0,0 +1,110 @@
+/**
+ * Workspace (monorepo) support
+ *
+ * Each linted file belongs to the nearest baseline in its directory or its
+ * ancestors. Files without one are assigned a new baseline at their package
+ * root (nearest directory with a package.json, up to cwd), so every package
+ * keeps its own baseline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Baseline, DEFAULT_BASELINE_FILE } = require('./baseline');
+const { toPosix } = require('./glob');
+
+/**
+ * Check if a path is a directory or inside it
+ * @param {string} target
+ * @param {string} dir
+ * @returns {boolean}
+ */
+function isInside(target, dir) {
+    const relative = path.relative(dir, target);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Find the package root of a directory (nearest package.json, up to stopDir)
+ * @param {string} dir
+ * @param {string} stopDir
+ * @returns {string}
+ */
+function findPackageRoot(dir, stopDir) {
+    let current = dir;
+
+    while (isInside(current, stopDir)) {
+        if (fs.existsSync(path.join(current, 'package.json'))) {
+            return current;
+        }
+        if (current === stopDir) {
+            break;
+        }
+        current = path.dirname(current);
+    }
+
+    return stopDir;
+}
+
+/**
+ * Create a resolver from linted file to baseline file
+ * @param {Object} options
+ * @param {string} options.cwd - Working directory
+ * @param {string} [options.baselineFile] - Baseline file name
+ * @param {string} [options.splitBy] - Look for split baseline directories
+ * @param {boolean} [options.splitByRule] - Same as splitBy: 'rule'
+ * @returns {function(string): string} File path -> absolute baseline file path
+ */
+function createBaselineResolver(options) {
+    const { cwd, baselineFile = DEFAULT_BASELINE_FILE, splitBy = null, splitByRule = false } = options;
+    const cache = new Map();
+
+    return function resolveBaseline(filePath) {
+        const dir = path.dirname(path.resolve(cwd, filePath));
+
+        if (!cache.has(dir)) {
+            const found = Baseline.find(dir, baselineFile, { splitBy, splitByRule });
+            cache.set(dir, found || path.join(findPackageRoot(dir, cwd), baselineFile));
+        }
+
+        return cache.get(dir);
+    };
+}
+
+/**
+ * Group ESLint results by the baseline they belong to
+ * @param {Array} results - ESLint results
+ * @param {function(string): string} resolveBaseline
+ * @returns {Map<string, Array>} Absolute baseline file path -> results
+ */
+function groupResultsByBaseline(results, resolveBaseline) {
+    const groups = new Map();
+
+    for (const result of results) {
+        const baselinePath = resolveBaseline(result.filePath);
+
+        if (!groups.has(baselinePath)) {
+            groups.set(baselinePath, []);
+        }
+        groups.get(baselinePath).push(result);
+    }
+
+    return new Map([...groups.entries()].sort((a, b) => a[0].localeCompare(b[0])));
+}
+
+/**
+ * Display name of a baseline (its path relative to cwd)
+ * @param {string} baselinePath
+ * @param {string} cwd
+ * @returns {string}
+ */
+function getBaselineName(baselinePath, cwd) {
+    return toPosix(path.relative(cwd, baselinePath)) || baselinePath;
+}
+
+module.exports = {
+    isInside,
+    findPackageRoot,
+    createBaselineResolver,
+    groupResultsByBaseline,
+    getBaselineName,
+};
@@ -8,29 +8,63 @@
 const path = require('path');
 const { Baseline } = require('./core/baseline');
 const { Reporter } = require('./core/reporter');
+const { toPosix } = require('./core/glob');
+const { pickMetadata, isExpired } = require('./core/metadata');
+const { loadBudgets, evaluateBudgets, tightenBudgets } = require('./core/budgets');
+const {
+    isInside,
+    createBaselineResolver,
+    groupResultsByBaseline,
+    getBaselineName,
+} = require('./core/workspaces');
 
 /**
  * Create a formatter with options
  * @param {Object} options
  * @param {boolean} [options.update] - Update/generate baseline
  * @param {string} [options.baselineFile] - Baseline file path
- * @param {boolean} [options.splitByRule] - Split by rule identifier
+ * @param {string} [options.splitBy] - Split by 'rule', top-level 'dir' or source 'file'
+ * @param {boolean} [options.splitByRule] - Split by rule identifier (same as splitBy: 'rule')
+ * @param {string} [options.matching] - Matching mode ('line', 'context' or 'count'; default: the baseline's)
+ * @param {string} [options.format] - Baseline file format (default: from the file extension)
  * @param {boolean} [options.allowEmpty] - Allow empty baseline
  * @param {boolean} [options.reportUnmatched] - Report unmatched entries
  * @param {boolean} [options.color] - Enable colors
  * @param {boolean} [options.verbose] - Verbose output
+ * @param {Map<string, string>|Function} [options.renames] - Renamed files (old path -> new path),
+ *   or a function returning them for a Baseline
+ * @param {boolean} [options.failOnEscalation] - Treat severity escalations as new errors
+ * @param {boolean} [options.scoped] - Only the linted files are updated (and reported as fixed), other entries are kept
+ * @param {string[]} [options.suppressRules] - Only update entries of these rules, keep the others
+ * @param {boolean} [options.workspaces] - One baseline per package (nearest baseline of each file)
+ * @param {boolean} [options.strictManifest] - Fail when a split baseline doesn't match its manifest
+ * @param {boolean} [options.failOnExpired] - Treat messages of expired entries as new errors
+ * @param {boolean} [options.ratchet] - Update mode only removes fixed entries and refuses new errors
+ * @param {boolean} [options.tightenBudgets] - Lower the budgets to the current counts
  * @returns {Function} Formatter function
  */
 function createFormatter(options = {}) {
     const {
         update = false,
         baselineFile = '.eslintbaseline.json',
+        splitBy = null,
         splitByRule = false,
+        matching = null,
+        format = null,
         allowEmpty = false,
         reportUnmatched = false,
         color = true,
         verbose = false,
         errorsToBaseline = null, // Pre-filtered errors for --suppress-rule
+        renames = null,
+        failOnEscalation = false,
+        scoped = false,
+        suppressRules = [],
+        workspaces = false,
+        strictManifest = false,
+        failOnExpired = false,
+        ratchet = false,
+        tightenBudgets: tighten = false,
     } = options;
 
     /**
@@ -42,30 +76,124 @@ function createFormatter(options = {}) {
     return function formatter(results, context) {
         const cwd = context?.cwd || process.cwd();
 
-        const baseline = new Baseline({
-            cwd,
-            baselineFile,
-            splitByRule,
-        });
-
         const reporter = new Reporter({
             color,
             verbose,
             reportUnmatched,
         });
 
+        if (workspaces) {
+            return handleWorkspaces(results, reporter, cwd, {
+                update,
+                baselineFile,
+                splitBy,
+                splitByRule,
+                matching,
+                format,
+                allowEmpty,
+                reportUnmatched,
+                renames,
+                failOnEscalation,
+                scoped,
+                suppressRules,
+                strictManifest,
+                failOnExpired,
+                ratchet,
+                tightenBudgets: tighten,
+            });
+        }
+
+        const baseline = new Baseline({
+            cwd,
+            baselineFile,
+            splitBy,
+            splitByRule,
+            matching,
+            format,
+        });
+
         if (update) {
-            return handleUpdateMode(results, baseline, reporter, cwd, allowEmpty, errorsToBaseline);
+            return handleUpdateMode(results, baseline, reporter, cwd, allowEmpty, errorsToBaseline, {
+                scoped,
+                suppressRules,
+                renames,
+                ratchet,
+                tightenBudgets: tighten,
+            });
         }
 
-        return handleCheckMode(results, baseline, reporter, cwd, reportUnmatched);
+        return handleCheckMode(results, baseline, reporter, cwd, reportUnmatched, {
+            scoped,
+            renames,
+            failOnEscalation,
+            strictManifest,
+            failOnExpired,
+            tightenBudgets: tighten,
+        });
+    };
+}
+
+/**
+ * Resolve the renames to apply to a baseline
+ * @param {Map<string, string>|Function|null} renames
+ * @param {Baseline} baseline
+ * @returns {Map<string, string>|null}
+ */
+function resolveRenames(renames, baseline) {
+    return typeof renames === 'function' ? renames(baseline) : renames;
+}
+
+/**
+ * Check a baseline against the budgets of its config file
+ * @param {Baseline} baseline
+ * @param {Object} [options]
+ * @param {boolean} [options.tighten] - Lower the budgets to the current counts
+ * @param {boolean} [options.update] - Running an update (budgets with `tighten` are lowered)
+ * @returns {{budgets: Array, tightenedBudgets: Array}}
+ */
+function checkBudgets(baseline, options = {}) {
+    const budgets = loadBudgets(baseline.getRootDir());
+
+    if (!budgets) {
+        return { budgets: [], tightenedBudgets: [] };
+    }
+
+    const results = evaluateBudgets(budgets, baseline.getDetailedStats());
+    const tighten = options.tighten || (options.update && budgets.tighten);
+
+    return {
+        budgets: results,
+        tightenedBudgets: tighten ? tightenBudgets(baseline.getRootDir(), results) : [],
     };
 }
 
 /**
  * Handle update mode (generate baseline)
+ * @param {Object} [options]
+ * @param {boolean} [options.scoped] - Replace entries of the linted files only, keep the others
+ * @param {string[]} [options.suppressRules] - Only update entries of these rules, keep the others
+ * @param {Map<string, string>|Function} [options.renames] - Renamed files to carry existing entries over
+ * @param {boolean} [options.ratchet] - Only remove fixed entries, refuse new errors
+ * @param {boolean} [options.tightenBudgets] - Lower the budgets to the current counts
  */
-function handleUpdateMode(results, baseline, reporter, cwd, allowEmpty, errorsToBaseline = null) {
+function handleUpdateMode(results, baseline, reporter, cwd, allowEmpty, errorsToBaseline = null, options = {}) {
+    // Read, merge and save under the lock: concurrent updates can't drop each other's entries
+    return baseline.transaction(() => (
+        updateBaseline(results, baseline, reporter, cwd, allowEmpty, errorsToBaseline, options)
+    ));
+}
+
+/**
+ * Build and save the updated baseline (see handleUpdateMode)
+ */
+function updateBaseline(results, baseline, reporter, cwd, allowEmpty, errorsToBaseline, options) {
+    const {
+        scoped = false,
+        suppressRules = [],
+        renames = null,
+        ratchet = false,
+        tightenBudgets: tighten = false,
+    } = options;
     let newBaseline;
 
     // Use pre-filtered errors if provided (from --suppress-rule)
@@ -79,7 +207,7 @@ function handleUpdateMode(results, baseline, reporter, cwd, allowEmpty, errorsTo
                 continue;
             }
 
-            const relativePath = path.relative(cwd, result.filePath);
+            const relativePath = baseline.relativePath(result.filePath);
 
             for (const msg of result.messages) {
                 if (!msg.ruleId) {
@@ -95,16 +223,74 @@ function handleUpdateMode(results, baseline, reporter, cwd, allowEmpty, errorsTo
                     line: msg.line,
                     column: msg.column,
                     message: msg.message,
+                    severity: msg.severity,
                 });
             }
         }
     }
 
-    const saved = baseline.save(newBaseline, { allowEmpty });
+    // Follow renames first: entries of moved files are matched (and kept) under their new path
+    baseline.load();
+    const renamed = baseline.applyRenames(resolveRenames(renames, baseline) || new Map());
+
+    // Only baseline specific rules, keep existing entries of the other rules
+    if (suppressRules.length > 0) {
+        newBaseline = baseline.filterByRules(newBaseline, suppressRules);
+    }
+
+    // Entries that still match keep their reason, ticket, owner and expiry;
+    // a ratchet keeps nothing else
+    const { matched, added } = baseline.partition(newBaseline);
+    const rejected = [];
+
+    // Errors covered by an ignoreErrors pattern are in neither group and aren't baselined
+    const kept = new Set([...Object.values(matched), ...Object.values(added)].flat());
+    newBaseline = Object.fromEntries(Object.entries(newBaseline)
+        .map(([file, errors]) => [file, errors.filter((error) => kept.has(error))])
+        .filter(([, errors]) => errors.length > 0));
+
+    if (ratchet) {
+        newBaseline = matched;
+
+        for (const [file, messages] of Object.entries(added)) {
+            rejected.push({
+                relativePath: toPosix(path.relative(cwd, path.join(baseline.getRootDir(), file))),
+                messages,
+            });
+        }
+    }
+
+    if (suppressRules.length > 0) {
+        for (const [file, errors] of Object.entries(baseline.data)) {
+            const existingOtherRules = errors.filter((e) => !suppressRules.includes(e.ruleId));
+            if (existingOtherRules.length > 0) {
+                if (!newBaseline[file]) {
+                    newBaseline[file] = [];
+                }
+                newBaseline[file].push(...existingOtherRules);
+            }
+        }
+    }
+
+    // Scoped update: files outside this run keep their entries
+    let dataToSave = newBaseline;
+    const lintedFiles = results.map((result) => baseline.relativePath(result.filePath));
+
+    if (scoped) {
+        dataToSave = baseline.mergeScoped(newBaseline, lintedFiles);
+    }
+
+    // Saving rewrites the manifest of a split baseline: report what the loaded one missed
+    const manifestIssues = baseline.manifestIssues;
+
+    // A ratchet may empty an existing baseline, never create one
+    const saved = baseline.save(dataToSave, { allowEmpty: allowEmpty || (ratchet && baseline.exists()) });
 
     if (!saved) {
         return {
-            output: reporter.formatError('Failed to save baseline (empty baseline not allowed)'),
+            output: rejected.length > 0
+                ? reporter.formatRatchet(rejected)
+                : reporter.formatError('Failed to save baseline (empty baseline not allowed)'),
             exitCode: 1,
         };
     }
@@ -112,30 +298,76 @@ function handleUpdateMode(results, baseline, reporter, cwd, allowEmpty, errorsTo
     let totalErrors = 0;
     const ruleStats = {};
 
-    for (const errors of Object.values(newBaseline)) {
+    for (const errors of Object.values(dataToSave)) {
         for (const error of errors) {
-            totalErrors++;
-            ruleStats[error.ruleId] = (ruleStats[error.ruleId] || 0) + 1;
+            // Count entries (count matching) stand for several errors
+            const count = error.count || 1;
+            totalErrors += count;
+            ruleStats[error.ruleId] = (ruleStats[error.ruleId] || 0) + count;
         }
     }
 
+    // Budgets apply to what was saved
+    baseline.reset();
+    const { budgets, tightenedBudgets } = checkBudgets(baseline, { tighten, update: true });
+    const exceeded = budgets.some((budget) => budget.count > budget.budget);
+
+    let output = reporter.formatManifestIssues(manifestIssues);
+    output += reporter.formatRenames(renamed);
+    output += reporter.formatRatchet(rejected);
+    output += reporter.formatBudgets(budgets, tightenedBudgets);
+    output += reporter.formatUpdate({
+        totalErrors,
+        fileCount: Object.keys(dataToSave).length,
+        ruleStats,
+        ...(scoped && { scopedFileCount: lintedFiles.length }),
+    });
+
+    if (exceeded) {
+        output += reporter.formatError('Baseline exceeds its budgets');
+    }
+
     return {
-        output: reporter.formatUpdate({
-            totalErrors,
-            fileCount: Object.keys(newBaseline).length,
-            ruleStats,
-        }),
-        exitCode: 0,
+        output,
+        exitCode: rejected.length > 0 || exceeded ? 1 : 0,
     };
 }
 
 /**
- * Handle check mode (lint with baseline)
+ * Match lint results against the baseline
+ * @param {Object} [options]
+ * @param {boolean} [options.scoped] - Only report unmatched entries of the linted files
+ * @param {Map<string, string>|Function} [options.renames] - Renamed files to carry entries over
+ * @param {boolean} [options.failOnEscalation] - Treat severity escalations as new errors
+ * @param {boolean} [options.strictManifest] - Fail when a split baseline doesn't match its manifest
+ * @param {boolean} [options.failOnExpired] - Treat messages of expired entries as new errors
+ * @param {boolean} [options.tightenBudgets] - Lower the budgets to the current counts
+ * @returns {Object} Check results (see Reporter#formatCheck)
  */
-function handleCheckMode(results, baseline, reporter, cwd, reportUnmatched) {
+function collectCheckResults(results, baseline, cwd, reportUnmatched, options = {}) {
+    const {
+        scoped = false,
+        renames = null,
+        failOnEscalation = false,
+        strictManifest = false,
+        failOnExpired = false,
+        tightenBudgets: tighten = false,
+    } = options;
+
     baseline.load();
 
+    if (failOnEscalation && baseline.serializer.name === 'compact') {
+        console.error('[eslint-baseline] The compact format doesn\'t store severities: escalations can\'t be detected');
+    }
+
+    // Carry entries of renamed files over to their new path
+    const resolvedRenames = resolveRenames(renames, baseline);
+    const renamed = resolvedRenames ? baseline.applyRenames(resolvedRenames) : [];
+
     const newErrors = [];
+    const escalations = [];
+    const expired = [];
+    const now = Date.now();
     let baselinedCount = 0;
 
     for (const result of results) {
@@ -145,18 +377,45 @@ function handleCheckMode(results, baseline, reporter, cwd, reportUnmatched) {
 
         const relativePath = path.relative(cwd, result.filePath);
         const fileNewErrors = [];
+        const entries = baseline.matchFile(result.filePath, result.messages, result.source);
 
-        for (const msg of result.messages) {
-            if (!msg.ruleId) {
+        for (const [position, msg] of result.messages.entries()) {
+            const entry = entries[position];
+
+            if (!entry) {
                 fileNewErrors.push(msg);
                 continue;
             }
 
-            if (baseline.isInBaseline(result.filePath, msg.ruleId, msg.line, msg.message)) {
-                baselinedCount++;
-            } else {
-                fileNewErrors.push(msg);
+            // Baselined as a warning, now reported as an error
+            if (typeof entry.severity === 'number' && msg.severity > entry.severity) {
+                escalations.push({
+                    relativePath,
+                    ...msg,
+                    baselineSeverity: entry.severity,
+                });
+
+                if (failOnEscalation) {
+                    fileNewErrors.push(msg);
+                    continue;
+                }
             }
+
+            // Baselined until a date that has passed
+            if (isExpired(entry, now)) {
+                expired.push({
+                    relativePath,
+                    ...msg,
+                    ...pickMetadata(entry),
+                });
+
+                if (failOnExpired) {
+                    fileNewErrors.push(msg);
+                    continue;
+                }
+            }
+
+            baselinedCount++;
         }
 
         if (fileNewErrors.length > 0) {
@@ -169,14 +428,44 @@ function handleCheckMode(results, baseline, reporter, cwd, reportUnmatched) {
     }
 
     // Always get unmatched entries to detect fixed errors
-    const unmatched = baseline.getUnmatched();
+    let unmatched = baseline.getUnmatched();
+
+    // Entries of files that weren't linted aren't fixed (nor are patterns, matched against part of the code)
+    if (scoped) {
+        const lintedFiles = new Set(results.map((result) => baseline.relativePath(result.filePath)));
+        unmatched = unmatched.filter((entry) => !entry.pattern && lintedFiles.has(entry.file));
+    }
+    const { budgets, tightenedBudgets } = checkBudgets(baseline, { tighten });
 
-    const checkResults = {
+    return {
         newErrors,
         baselinedCount,
         unmatched,
         showUnmatchedDetails: reportUnmatched,
+        renamed,
+        escalations,
+        escalationsAsErrors: failOnEscalation,
+        expired,
+        expiredAsErrors: failOnExpired,
+        manifestIssues: baseline.manifestIssues,
+        manifestIssuesAsErrors: strictManifest,
+        budgets,
+        tightenedBudgets,
     };
+}
+
+/**
+ * Handle check mode (lint with baseline)
+ * @param {Object} [options]
+ * @param {boolean} [options.scoped] - Only report unmatched entries of the linted files
+ * @param {Map<string, string>|Function} [options.renames] - Renamed files to carry entries over
+ * @param {boolean} [options.failOnEscalation] - Treat severity escalations as new errors
+ * @param {boolean} [options.strictManifest] - Fail when a split baseline doesn't match its manifest
+ * @param {boolean} [options.failOnExpired] - Treat messages of expired entries as new errors
+ * @param {boolean} [options.tightenBudgets] - Lower the budgets to the current counts
+ */
+function handleCheckMode(results, baseline, reporter, cwd, reportUnmatched, options = {}) {
+    const checkResults = collectCheckResults(results, baseline, cwd, reportUnmatched, options);
 
     return {
         output: reporter.formatCheck(checkResults),
@@ -184,8 +473,133 @@ function handleCheckMode(results, baseline, reporter, cwd, reportUnmatched) {
     };
 }
 
+/**
+ * Handle workspaces (one baseline per package)
+ *
+ * Results are grouped by the nearest baseline of each file; every baseline
+ * is checked or updated on its own and the check summary is aggregated.
+ *
+ * @param {Array} results - ESLint results
+ * @param {Reporter} reporter
+ * @param {string} cwd
+ * @param {Object} settings - Formatter options
+ * @returns {{output: string, exitCode: number}}
+ */
+function handleWorkspaces(results, reporter, cwd, settings) {
+    const { update, splitBy, splitByRule, matching, format, allowEmpty, scoped } = settings;
+    const resolveBaseline = createBaselineResolver({
+        cwd,
+        baselineFile: path.basename(settings.baselineFile),
+        splitBy,
+        splitByRule,
+    });
+    const groups = groupResultsByBaseline(results, resolveBaseline);
+
+    let output = '';
+    let exitCode = 0;
+    const merged = {
+        newErrors: [],
+        baselinedCount: 0,
+        unmatched: [],
+        showUnmatchedDetails: settings.reportUnmatched,
+        renamed: [],
+        escalations: [],
+        escalationsAsErrors: settings.failOnEscalation,
+        expired: [],
+        expiredAsErrors: settings.failOnExpired,
+        manifestIssues: [],
+        manifestIssuesAsErrors: settings.strictManifest,
+        budgets: [],
+        tightenedBudgets: [],
+        packages: [],
+    };
+
+    for (const [baselinePath, groupResults] of groups) {
+        const baseline = new Baseline({ cwd, baselineFile: baselinePath, splitBy, splitByRule, matching, format });
+        const name = getBaselineName(baselinePath, cwd);
+
+        // Running inside the package: only part of it was linted
+        const groupScoped = scoped || !isInside(baseline.getRootDir(), cwd);
+
+        if (update) {
+            const hasErrors = groupResults.some((result) => result.messages.some((msg) => msg.ruleId));
+
+            if (!hasErrors && !baseline.exists() && !allowEmpty) {
+                continue;
+            }
+
+            // An existing baseline may become empty when all its errors are fixed
+            const result = handleUpdateMode(groupResults, baseline, reporter, cwd, allowEmpty || baseline.exists(), null, {
+                scoped: groupScoped,
+                suppressRules: settings.suppressRules,
+                renames: settings.renames,
+                ratchet: settings.ratchet,
+                tightenBudgets: settings.tightenBudgets,
+            });
+
+            output += `${reporter.formatHeading(name)}${result.output}\n`;
+            exitCode = Math.max(exitCode, result.exitCode);
+            continue;
+        }
+
+        const checkResults = collectCheckResults(groupResults, baseline, cwd, settings.reportUnmatched, {
+            scoped: groupScoped,
+            renames: settings.renames,
+            failOnEscalation: settings.failOnEscalation,
+            strictManifest: settings.strictManifest,
+            failOnExpired: settings.failOnExpired,
+            tightenBudgets: settings.tightenBudgets,
+        });
+
+        // Clean package without a baseline: nothing to report
+        if (!baseline.exists() && checkResults.newErrors.length === 0) {
+            continue;
+        }
+
+        // Baseline keys are relative to each package: display them relative to cwd
+        const fromCwd = (file) => toPosix(path.relative(cwd, path.join(baseline.getRootDir(), file)));
+
+        merged.newErrors.push(...checkResults.newErrors);
+        merged.baselinedCount += checkResults.baselinedCount;
+        merged.escalations.push(...checkResults.escalations);
+        merged.expired.push(...checkResults.expired);
+        merged.budgets.push(...checkResults.budgets.map((budget) => ({ ...budget, package: name })));
+        merged.tightenedBudgets.push(...checkResults.tightenedBudgets.map((budget) => ({ ...budget, package: name })));
+        merged.manifestIssues.push(...checkResults.manifestIssues);
+        merged.unmatched.push(...checkResults.unmatched.map((entry) => ({ ...entry, file: fromCwd(entry.file) })));
+        merged.renamed.push(...checkResults.renamed.map((entry) => ({
+            ...entry,
+            from: fromCwd(entry.from),
+            to: fromCwd(entry.to),
+        })));
+        merged.packages.push({
+            name,
+            newErrors: checkResults.newErrors,
+            baselinedCount: checkResults.baselinedCount,
+            unmatched: checkResults.unmatched,
+        });
+    }
+
+    if (update) {
+        if (!output) {
+            return {
+                output: reporter.formatError('Failed to save baseline (empty baseline not allowed)'),
+                exitCode: 1,
+            };
+        }
+        return { output, exitCode };
+    }
+
+    return {
+        output: reporter.formatCheck(merged),
+        exitCode: reporter.getExitCode(merged),
+    };
+}
+
 module.exports = {
     createFormatter,
     handleUpdateMode,
     handleCheckMode,
+    collectCheckResults,
+    checkBudgets,
 };
@@ -6,24 +6,94 @@ import { Linter, ESLint } from 'eslint';
 
 export interface BaselineError {
     ruleId: string;
-    line: number;
-    column: number;
+    /** Line number (absent on count entries) */
+    line?: number;
+    column?: number;
     message: string;
+    /** Number of occurrences (count entries only) */
+    count?: number;
+    /** ESLint severity when baselined (1 = warning, 2 = error) */
+    severity?: number;
+    /** Source context fingerprint (context matching) */
+    fingerprint?: string;
+    /** Why the error is baselined (kept across updates) */
+    reason?: string;
+    /** Tracking ticket (kept across updates) */
+    ticket?: string;
+    /** Person or team responsible (kept across updates) */
+    owner?: string;
+    /** Date (YYYY-MM-DD) or ISO timestamp after which the entry is reported as expired */
+    expires?: string;
 }
 
 export interface BaselineData {
     [filePath: string]: BaselineError[];
 }
 
+/** Baseline file content (schema version 2) */
+export interface BaselineFile {
+    $schema?: string;
+    version: number;
+    files: BaselineData;
+}
+
 export interface BaselineOptions {
     /** Working directory */
     cwd?: string;
     /** Path to baseline file (default: '.eslintbaseline.json') */
     baselineFile?: string;
-    /** Split baseline into multiple files by rule */
+    /** Split baseline into multiple files (by rule, top-level directory or source file) */
+    splitBy?: SplitStrategy;
+    /** Split baseline into multiple files by rule (same as splitBy: 'rule') */
     splitByRule?: boolean;
+    /** Matching mode (default: the mode the baseline was saved with, else 'line') */
+    matching?: MatchingMode;
+    /** Neighbouring lines on each side used for context fingerprints (default: 2) */
+    contextLines?: number;
+    /** Pattern entries (default: `ignoreErrors` from .eslintbaselinerc.json next to the baseline) */
+    ignoreErrors?: IgnoreErrorPattern[];
+    /** File format (default: from the baseline file extension, json otherwise) */
+    format?: BaselineFormat;
+    /** Read entries file by file from a sidecar cache, rebuilt when the baseline changes */
+    lazy?: boolean;
+    /** Cache directory for lazy loading (default: node_modules/.cache/eslint-baseline next to the baseline) */
+    cacheDir?: string;
+}
+
+/**
+ * - `json`: pretty-printed JSON (`.json`)
+ * - `ndjson`: header line, then one entry per line (`.ndjson`, `.jsonl`)
+ * - `yaml`: block YAML (`.yaml`, `.yml`)
+ * - `compact`: `path:line:rule:message` lines, without columns, severities, fingerprints and metadata (`.txt`; not for context matching)
+ */
+export type BaselineFormat = 'json' | 'ndjson' | 'yaml' | 'compact';
+
+/** Hand-written pattern entry (like PHPStan's ignoreErrors) */
+export interface IgnoreErrorPattern {
+    /** Regular expression tested against the error message */
+    message: string;
+    /** Glob matched against the relative file path */
+    path?: string;
+    /** Only match this rule */
+    ruleId?: string;
+    /** Maximum number of errors to ignore */
+    count?: number;
 }
 
+/**
+ * - `line`: match on rule + line + message
+ * - `context`: also fingerprint the surrounding source so entries survive line shifts
+ * - `count`: aggregate entries per file as rule + message + count, ignoring lines
+ */
+export type MatchingMode = 'line' | 'context' | 'count';
+
+/**
+ * - `rule`: one file per rule identifier
+ * - `dir`: one file per top-level directory (`_root.json` for root files)
+ * - `file`: one file per source file, mirroring the source tree
+ */
+export type SplitStrategy = 'rule' | 'dir' | 'file';
+
 export interface BaselineStats {
     /** Total number of baselined errors */
     totalErrors: number;
@@ -31,6 +101,8 @@ export interface BaselineStats {
     fileCount: number;
     /** Error count by rule ID */
     ruleStats: { [ruleId: string]: number };
+    /** Number of linted files in a scoped update */
+    scopedFileCount?: number;
 }
 
 export interface DetailedBaselineStats {
@@ -62,6 +134,17 @@ export interface UnmatchedEntry extends BaselineError {
     file: string;
     /** Number of unmatched occurrences */
     unmatchedCount: number;
+    /** True for unused pattern entries (file is the path glob) */
+    pattern?: boolean;
+}
+
+export interface RenamedFile {
+    /** Previous relative path */
+    from: string;
+    /** New relative path */
+    to: string;
+    /** Number of entries carried over */
+    count: number;
 }
 
 export declare class Baseline {
@@ -69,10 +152,26 @@ export declare class Baseline {
     cwd: string;
     /** Baseline file path */
     baselineFile: string;
+    /** File format option (null: from the file extension) */
+    format: BaselineFormat | null;
+    /** Split strategy, null for a single file */
+    splitBy: SplitStrategy | null;
     /** Whether to split by rule */
     splitByRule: boolean;
-    /** Loaded baseline data */
+    /** Matching mode (set on load when not given) */
+    matching: MatchingMode;
+    /** Matching mode recorded in the loaded baseline, null for line mode */
+    storedMatching: MatchingMode | null;
+    /** Neighbouring lines used for context fingerprints */
+    contextLines: number;
+    /** Whether entries are read file by file from the sidecar cache */
+    lazy: boolean;
+    /** Loaded baseline data (lazy baselines: the files looked up so far) */
     data: BaselineData | null;
+    /** Schema version found on disk (null if nothing was loaded) */
+    version: number | null;
+    /** Inconsistencies found while loading a split baseline */
+    manifestIssues: ManifestIssue[];
     /** Whether baseline has been loaded */
     loaded: boolean;
 
@@ -81,17 +180,77 @@ export declare class Baseline {
     /** Get full path to baseline file */
     getBaselinePath(): string;
 
+    /** Get the directory stored paths are relative to (the baseline file's directory) */
+    getRootDir(): string;
+
+    /**
+     * Convert a file path (absolute or relative to cwd) to its baseline key:
+     * relative to the baseline directory, with POSIX separators
+     */
+    relativePath(filePath: string): string;
+
+    /**
+     * Find the nearest baseline in a directory or its ancestors
+     * @returns absolute baseline file path, or null
+     */
+    static find(startDir: string, baselineFile?: string, options?: { splitBy?: SplitStrategy; splitByRule?: boolean }): string | null;
+
     /** Get directory for split baseline files */
     getSplitBaselineDir(): string;
 
-    /** Load baseline from file */
+    /** Get the path holding the baseline (file, or directory when split) */
+    getStoragePath(): string;
+
+    /** Get the cache directory used for lazy loading */
+    getCacheDir(): string;
+
+    /** Load baseline from file (lazy baselines: open or rebuild the cache) */
     load(): BaselineData;
 
+    /** Check if the baseline has any entries, including files a lazy baseline hasn't read yet */
+    hasEntries(): boolean;
+
     /**
      * Check if an error is in the baseline
+     * @param source - Current source text, read from disk when omitted
      * @returns true if error was in baseline (and consumes it)
      */
-    isInBaseline(filePath: string, ruleId: string, line: number, message: string): boolean;
+    isInBaseline(filePath: string, ruleId: string, line: number, message: string, source?: string): boolean;
+
+    /**
+     * Find the entry matching an error (and consume it)
+     * @returns the baseline entry, the ignoreErrors entry for pattern matches, or null
+     */
+    match(
+        filePath: string,
+        ruleId: string,
+        line: number,
+        message: string,
+        source?: string
+    ): BaselineError | IgnoreErrorPattern | null;
+
+    /**
+     * Find the entries matching the messages of a file (and consume them), by source context
+     * first for all of them, then by line, count and pattern
+     * @returns the matched entry of each message, null for new errors and messages without a rule
+     */
+    matchFile(
+        filePath: string,
+        messages: Array<Pick<Linter.LintMessage, 'ruleId' | 'line' | 'message'>>,
+        source?: string
+    ): Array<BaselineError | IgnoreErrorPattern | null>;
+
+    /**
+     * Undo the matches of a file (including pattern matches), restoring its full counts,
+     * before matching the messages of another lint of that file
+     */
+    resetFileMatches(filePath: string): void;
+
+    /**
+     * Run a read-modify-write of the baseline under its lock (the baseline is read again once the lock is held)
+     * @returns Return value of fn
+     */
+    transaction<T>(fn: () => T): T;
 
     /**
      * Save baseline to file
@@ -108,11 +267,38 @@ export declare class Baseline {
     /** Get unmatched baseline entries (fixed errors) */
     getUnmatched(): UnmatchedEntry[];
 
+    /**
+     * Replace the entries of the linted files and keep every other file
+     * @param data - New entries by file
+     * @param lintedFiles - Relative paths of all linted files (with or without errors)
+     */
+    mergeScoped(data: BaselineData, lintedFiles: Iterable<string>): BaselineData;
+
     /**
      * Prune baseline - remove entries that no longer exist
      * @param currentErrors - Current ESLint errors by file
+     * @param options.scope - Only prune these files, keep the others
+     */
+    prune(currentErrors: BaselineData, options?: { scope?: Iterable<string> }): PruneResult;
+
+    /**
+     * Move entries of renamed files to their new path
+     * @param renames - Old relative path -> new relative path
+     */
+    applyRenames(renames: Map<string, string> | { [from: string]: string }): RenamedFile[];
+
+    /**
+     * Copy reason, ticket, owner and expires of matching baseline entries to new entries
+     * (consumes the matched entries)
+     * @returns number of entries that received metadata
+     */
+    carryMetadata(data: BaselineData): number;
+
+    /**
+     * Split new entries into the ones matching the baseline (with its metadata) and the new ones
+     * (consumes the matched entries; entries covered by ignoreErrors patterns are in neither group)
      */
-    prune(currentErrors: BaselineData): PruneResult;
+    partition(data: BaselineData): { matched: BaselineData; added: BaselineData };
 
     /**
      * Filter errors by specific rules
@@ -149,6 +335,140 @@ export interface CheckResults {
     baselinedCount: number;
     unmatched?: UnmatchedEntry[];
     showUnmatchedDetails?: boolean;
+    /** Files whose entries followed a rename */
+    renamed?: RenamedFile[];
+    /** Baselined messages whose severity was raised */
+    escalations?: SeverityEscalation[];
+    /** Whether escalations are also reported as new errors */
+    escalationsAsErrors?: boolean;
+    /** Baselined messages whose entry is past its expires date */
+    expired?: ExpiredEntry[];
+    /** Whether expired entries are also reported as new errors */
+    expiredAsErrors?: boolean;
+    /** Budget results (exceeded budgets fail the check) */
+    budgets?: BudgetResult[];
+    /** Budgets lowered to the current counts */
+    tightenedBudgets?: TightenedBudget[];
+    /** Per-baseline results (workspaces) */
+    packages?: PackageCheckResults[];
+    /** Inconsistencies between split baseline files and their manifest */
+    manifestIssues?: ManifestIssue[];
+    /** Whether manifest issues fail the check */
+    manifestIssuesAsErrors?: boolean;
+}
+
+/** Inconsistency between a split baseline and its manifest (_loader.json) */
+export interface ManifestIssue {
+    type: 'missing' | 'unlisted' | 'checksum' | 'manifest';
+    /** Split file path relative to cwd */
+    file: string;
+    message: string;
+}
+
+export interface PackageCheckResults {
+    /** Baseline path relative to cwd */
+    name: string;
+    newErrors: CheckResults['newErrors'];
+    baselinedCount: number;
+    unmatched: UnmatchedEntry[];
+}
+
+export interface SeverityEscalation extends Linter.LintMessage {
+    relativePath: string;
+    /** Severity stored in the baseline */
+    baselineSeverity: number;
+}
+
+export interface ExpiredEntry extends Linter.LintMessage {
+    relativePath: string;
+    expires: string;
+    reason?: string;
+    ticket?: string;
+    owner?: string;
+}
+
+export interface BudgetResult {
+    type: 'rule' | 'path';
+    /** Rule ID or path glob (relative to the baseline directory) */
+    name: string;
+    /** Maximum number of baselined errors */
+    budget: number;
+    /** Number of baselined errors */
+    count: number;
+    /** Baseline path relative to cwd (workspaces) */
+    package?: string;
+}
+
+export interface TightenedBudget {
+    type: 'rule' | 'path';
+    name: string;
+    from: number;
+    to: number;
+    /** Baseline path relative to cwd (workspaces) */
+    package?: string;
+}
+
+export interface RuleIncrease {
+    ruleId: string;
+    /** Errors baselined at the git revision */
+    before: number;
+    /** Errors baselined now */
+    after: number;
+}
+
+export interface DiffEntry {
+    file: string;
+    ruleId: string;
+    message: string;
+    /** Line of a line entry */
+    line?: number;
+    /** Change in the total of count entries */
+    count?: number;
+}
+
+export interface MovedEntry {
+    file: string;
+    ruleId: string;
+    message: string;
+    from: number;
+    to: number;
+}
+
+export interface DiffCounts {
+    added: number;
+    removed: number;
+    moved: number;
+}
+
+export interface BaselineDiff {
+    added: DiffEntry[];
+    removed: DiffEntry[];
+    moved: MovedEntry[];
+    totals: DiffCounts;
+    byRule: Array<DiffCounts & { ruleId: string }>;
+    byFile: Array<DiffCounts & { file: string }>;
+}
+
+export interface HistoryPoint {
+    commit: string;
+    /** Committer date (ISO 8601) */
+    date: string;
+    subject: string;
+    totalErrors: number;
+    fileCount: number;
+    /** Error count by rule */
+    rules: Record<string, number>;
+}
+
+export interface BoyScoutFile {
+    file: string;
+    /** Errors baselined at the merge base */
+    before: number;
+    /** Errors baselined now */
+    after: number;
+    /** Highest error count that passes */
+    allowed: number;
+    passed: boolean;
 }
 
 export declare class Reporter {
@@ -164,6 +484,36 @@ export declare class Reporter {
     /** Format check mode output */
     formatCheck(results: CheckResults): string;
 
+    /** Format inconsistencies between a split baseline and its manifest */
+    formatManifestIssues(issues: ManifestIssue[]): string;
+
+    /** Format a section heading (e.g. the baseline of a workspace package) */
+    formatHeading(title: string): string;
+
+    /** Format files whose baseline entries followed a rename */
+    formatRenames(renamed: RenamedFile[]): string;
+
+    /** Format baselined messages whose entry has expired */
+    formatExpired(expired: ExpiredEntry[]): string;
+
+    /** Format how far each rule or path is over or under its budget */
+    formatBudgets(budgets: BudgetResult[], tightened?: TightenedBudget[]): string;
+
+    /** Format the new errors a ratchet update refused to baseline */
+    formatRatchet(rejected: Array<{ relativePath: string; messages: Linter.LintMessage[] }>): string;
+
+    /** Format the rules with more baseline entries than at a git revision */
+    formatRatchetCheck(increases: RuleIncrease[], ref: string): string;
+
+    /** Format the boy-scout check of the files modified since the merge base with a git revision */
+    formatBoyScout(files: BoyScoutFile[], ref: string, threshold?: number): string;
+
+    /** Format the differences between two baselines */
+    formatDiff(diff: BaselineDiff, from: string, to: string): string;
+
+    /** Format a baseline history as a burn-down table and chart */
+    formatHistory(history: HistoryPoint[]): string;
+
     /** Format empty baseline message */
     formatEmptyBaseline(): string;
 
@@ -179,8 +529,14 @@ export interface FormatterOptions {
     update?: boolean;
     /** Baseline file path */
     baselineFile?: string;
+    /** Split by rule, top-level directory or source file */
+    splitBy?: SplitStrategy;
+    /** Baseline file format (default: from the file extension) */
+    format?: BaselineFormat;
     /** Split by rule identifier */
     splitByRule?: boolean;
+    /** Matching mode */
+    matching?: MatchingMode;
     /** Allow empty baseline */
     allowEmpty?: boolean;
     /** Report unmatched entries */
@@ -189,6 +545,24 @@ export interface FormatterOptions {
     color?: boolean;
     /** Enable verbose output */
     verbose?: boolean;
+    /** Renamed files (old path -> new path) whose entries are carried over, or a function returning them per baseline */
+    renames?: Map<string, string> | ((baseline: Baseline) => Map<string, string>);
+    /** Report baselined messages whose severity was raised as new errors */
+    failOnEscalation?: boolean;
+    /** Report messages of entries past their expires date as new errors */
+    failOnExpired?: boolean;
+    /** Update mode only removes fixed entries; new errors are refused and fail the run */
+    ratchet?: boolean;
+    /** Lower the budgets in .eslintbaselinerc.json to the current counts */
+    tightenBudgets?: boolean;
+    /** Only the linted files are updated (and reported as fixed), other entries are kept */
+    scoped?: boolean;
+    /** Only update entries of these rules, keep the others */
+    suppressRules?: string[];
+    /** One baseline per package: each file uses its nearest baseline (baselineFile is the file name) */
+    workspaces?: boolean;
+    /** Fail the check when a split baseline doesn't match its manifest */
+    strictManifest?: boolean;
 }
 
 export interface FormatterResult {
@@ -207,12 +581,40 @@ export declare function createFormatter(options?: FormatterOptions): FormatterFu
 /** Default baseline file name */
 export declare const DEFAULT_BASELINE_FILE: string;
 
-/** Get or create baseline instance (for processor) */
-export declare function getBaseline(options?: { cwd?: string }): Baseline;
+/**
+ * Get or create baseline instance (for processor)
+ * @param options.filename - Linted file, used to discover the nearest baseline
+ */
+export declare function getBaseline(options?: { cwd?: string; filename?: string }): Baseline;
+
+/**
+ * Drop loaded baselines so the processor reads them again on the next lint
+ * (changes on disk are detected automatically)
+ * @param baselineFile - Baseline file (default: all baselines)
+ */
+export declare function invalidateBaseline(baselineFile?: string): void;
 
 /** Reset baseline instance (for testing) */
 export declare function resetBaseline(): void;
 
+export interface ProcessorOptions {
+    /** Baseline file (default: nearest .eslintbaseline.json, or ESLINT_BASELINE_FILE) */
+    baselineFile?: string;
+    /** Split baseline by rule, top-level directory or source file (default: ESLINT_BASELINE_SPLIT) */
+    splitBy?: SplitStrategy;
+    /** Split baseline by rule (same as splitBy: 'rule') */
+    splitByRule?: boolean;
+    /** Matching mode (default: the mode the baseline was saved with, else line) */
+    matching?: MatchingMode;
+    /** File format (default: from the baseline file extension) */
+    format?: BaselineFormat;
+    /** Read entries file by file from a sidecar cache (default: ESLINT_BASELINE_LAZY) */
+    lazy?: boolean;
+}
+
+/** Create a baseline processor with its own options and loaded baselines */
+export declare function createProcessor(options?: ProcessorOptions): Linter.Processor;
+
 /** ESLint Plugin */
 declare const plugin: {
     meta: {
@@ -223,12 +625,19 @@ declare const plugin: {
         baseline: Linter.Processor;
     };
     configs: {
+        /** Flat config */
         recommended: {
+            plugins: { baseline: typeof plugin };
+            processor: string;
+        };
+        /** Legacy config (.eslintrc) */
+        'legacy-recommended': {
             plugins: string[];
             processor: string;
         };
     };
     rules: {};
+    createProcessor: typeof createProcessor;
 };
 
 export default plugin;
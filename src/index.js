@@ -6,17 +6,24 @@
  *
  * @example
  * // eslint.config.js
- * import baseline from 'eslint-plugin-baseline';
+ * import baseline from '@nytodev/eslint-plugin-baseline';
  *
  * export default [
+ *   baseline.configs.recommended,
  *   {
- *     plugins: { baseline },
- *     processor: 'baseline/baseline',
+ *     files: ['legacy/**'],
+ *     processor: baseline.createProcessor({ baselineFile: 'legacy/.eslintbaseline.json' }),
  *   },
  * ];
  */
 
-const { baselineProcessor, getBaseline, resetBaseline } = require('./processor');
+const {
+    baselineProcessor,
+    createProcessor,
+    getBaseline,
+    invalidateBaseline,
+    resetBaseline,
+} = require('./processor');
 const { Baseline, DEFAULT_BASELINE_FILE } = require('./core/baseline');
 const { Reporter } = require('./core/reporter');
 const { createFormatter } = require('./formatter');
@@ -38,15 +45,15 @@ const plugin = {
     },
 
     /**
-     * Configs
+     * Configs (recommended is added below: flat config references the plugin itself)
      */
     configs: {
         /**
-         * Recommended config - enables baseline processor
+         * Legacy config (.eslintrc) - enables baseline processor
          */
-        recommended: {
-            plugins: ['baseline'],
-            processor: 'baseline/baseline',
+        'legacy-recommended': {
+            plugins: ['@nytodev/baseline'],
+            processor: '@nytodev/baseline/baseline',
         },
     },
 
@@ -56,6 +63,14 @@ const plugin = {
     rules: {},
 };
 
+/**
+ * Recommended flat config - enables baseline processor
+ */
+plugin.configs.recommended = {
+    plugins: { baseline: plugin },
+    processor: 'baseline/baseline',
+};
+
 // Export for CommonJS
 module.exports = plugin;
 
@@ -64,5 +79,7 @@ module.exports.Baseline = Baseline;
 module.exports.Reporter = Reporter;
 module.exports.createFormatter = createFormatter;
 module.exports.DEFAULT_BASELINE_FILE = DEFAULT_BASELINE_FILE;
+module.exports.createProcessor = createProcessor;
 module.exports.getBaseline = getBaseline;
+module.exports.invalidateBaseline = invalidateBaseline;
 module.exports.resetBaseline = resetBaseline;
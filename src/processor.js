@@ -3,99 +3,370 @@
  *
  * This processor filters out errors that are in the baseline,
  * allowing only new errors to be reported.
+ *
+ * Every processor created with createProcessor() has its own options and
+ * loaded baselines, so config blocks can use different baselines. The
+ * default processor (`baseline/baseline`) is configured from environment
+ * variables.
  */
 
 const path = require('path');
-const { Baseline } = require('./core/baseline');
+const crypto = require('crypto');
+const {
+    Baseline,
+    DEFAULT_BASELINE_FILE,
+    MATCHING_MODES,
+    SPLIT_STRATEGIES,
+} = require('./core/baseline');
+const { computeSignature } = require('./core/cache');
+
+// Split baselines are checked for changes file by file, and the nearest baseline
+// of a directory looked up again: at most once per interval (ms)
+const DIRECTORY_CHECK_INTERVAL = 1000;
 
-let baselineInstance = null;
+// Weak references to the state of every processor (for invalidateBaseline):
+// processors dropped with their config (IDE servers, watch mode) are garbage collected
+const processorStates = new Set();
+const stateRegistry = new FinalizationRegistry((ref) => processorStates.delete(ref));
+
+/**
+ * Create the state of a processor
+ * @param {Object} options - createProcessor() options
+ * @returns {Object}
+ */
+function createState(options) {
+    const state = {
+        options,
+        // Baseline instances by absolute baseline file path: { baseline, signature, checkedAt }
+        baselineInstances: new Map(),
+        // Nearest baseline file by directory of linted files: { file, checkedAt }
+        discoveredBaselines: new Map(),
+        // Source text of files between preprocess and postprocess (for context matching)
+        sources: new Map(),
+    };
+
+    const ref = new WeakRef(state);
+    processorStates.add(ref);
+    stateRegistry.register(state, ref);
+    return state;
+}
 
 /**
- * Get or create baseline instance
+ * Get the states of the processors still in use
+ * @returns {Object[]}
+ */
+function getLiveStates() {
+    const states = [];
+
+    for (const ref of processorStates) {
+        const state = ref.deref();
+
+        if (state) {
+            states.push(state);
+        } else {
+            processorStates.delete(ref);
+        }
+    }
+
+    return states;
+}
+
+/**
+ * Get the processor name identifying its options
+ *
+ * ESLint identifies processors by name and version (e.g. for --cache), so
+ * config blocks with different options must not share a name.
+ *
+ * @param {Object} options - createProcessor() options
+ * @returns {string}
+ */
+function getProcessorName(options) {
+    const settings = {
+        baselineFile: options.baselineFile,
+        splitBy: options.splitBy || (options.splitByRule ? 'rule' : undefined),
+        matching: options.matching,
+        format: options.format,
+        lazy: options.lazy,
+    };
+
+    if (Object.values(settings).every((value) => value === undefined)) {
+        return 'baseline';
+    }
+
+    const hash = crypto.createHash('md5').update(JSON.stringify(settings)).digest('hex').substring(0, 8);
+    return `baseline-${hash}`;
+}
+
+/**
+ * Get the split strategy of a processor (option, or ESLINT_BASELINE_SPLIT)
+ * @param {Object} options - createProcessor() options
+ * @returns {string|null}
+ */
+function resolveSplitBy(options) {
+    if (options.splitBy || options.splitByRule) {
+        return options.splitBy || 'rule';
+    }
+
+    // ESLINT_BASELINE_SPLIT: 'true' (by rule) or the split strategy
+    const split = process.env.ESLINT_BASELINE_SPLIT;
+    return split === 'true' ? 'rule' : (SPLIT_STRATEGIES.includes(split) ? split : null);
+}
+
+/**
+ * Resolve the baseline file for a linted file
+ *
+ * The baselineFile option (or ESLINT_BASELINE_FILE) wins; otherwise the
+ * nearest baseline in the linted file's directory or its ancestors,
+ * falling back to cwd.
+ *
+ * @param {Object} state - Processor state
  * @param {Object} options
+ * @param {string} [options.cwd]
+ * @param {string} [options.filename] - Linted file
+ * @param {string} [options.splitBy]
+ * @returns {string} Absolute baseline file path
+ */
+function resolveBaselineFile(state, options) {
+    const cwd = options.cwd || process.cwd();
+    const baselineFile = state.options.baselineFile || process.env.ESLINT_BASELINE_FILE;
+
+    if (baselineFile) {
+        return path.resolve(cwd, baselineFile);
+    }
+
+    if (options.filename) {
+        const dir = path.dirname(path.resolve(cwd, options.filename));
+        const now = Date.now();
+        let discovered = state.discoveredBaselines.get(dir);
+
+        // Look again from time to time: a baseline may have been created since
+        if (!discovered || now - discovered.checkedAt >= DIRECTORY_CHECK_INTERVAL) {
+            discovered = {
+                file: Baseline.find(dir, DEFAULT_BASELINE_FILE, { splitBy: options.splitBy }),
+                checkedAt: now,
+            };
+            state.discoveredBaselines.set(dir, discovered);
+        }
+
+        if (discovered.file) {
+            return discovered.file;
+        }
+    }
+
+    return path.resolve(cwd, DEFAULT_BASELINE_FILE);
+}
+
+/**
+ * Check if a baseline changed on disk since it was loaded
+ * @param {Object} loaded - Entry of baselineInstances
+ * @returns {boolean}
+ */
+function isStale(loaded) {
+    const now = Date.now();
+
+    if (loaded.baseline.splitBy && now - loaded.checkedAt < DIRECTORY_CHECK_INTERVAL) {
+        return false;
+    }
+
+    loaded.checkedAt = now;
+    return computeSignature(loaded.baseline.getStoragePath()) !== loaded.signature;
+}
+
+/**
+ * Get or create the baseline instance of a processor
+ * @param {Object} state - Processor state
+ * @param {Object} options - See getBaseline()
  * @returns {Baseline}
  */
-function getBaseline(options = {}) {
-    if (!baselineInstance) {
-        baselineInstance = new Baseline({
+function getStateBaseline(state, options) {
+    const splitBy = resolveSplitBy(state.options);
+    const baselineFile = resolveBaselineFile(state, { ...options, splitBy });
+    let loaded = state.baselineInstances.get(baselineFile);
+
+    if (loaded && isStale(loaded)) {
+        loaded.baseline.reset();
+        loaded = null;
+    }
+
+    if (!loaded) {
+        const instance = new Baseline({
             cwd: options.cwd || process.cwd(),
-            baselineFile: process.env.ESLINT_BASELINE_FILE || '.eslintbaseline.json',
-            splitByRule: process.env.ESLINT_BASELINE_SPLIT === 'true',
+            baselineFile,
+            splitBy,
+            matching: state.options.matching,
+            format: state.options.format,
+            // ESLINT_BASELINE_LAZY: read entries file by file from a sidecar cache
+            lazy: state.options.lazy ?? process.env.ESLINT_BASELINE_LAZY === 'true',
         });
-        baselineInstance.load();
+
+        // Signature first: a change while loading triggers another reload
+        loaded = {
+            baseline: instance,
+            signature: computeSignature(instance.getStoragePath()),
+            checkedAt: Date.now(),
+        };
+        instance.load();
+        state.baselineInstances.set(baselineFile, loaded);
+
+        for (const issue of instance.manifestIssues) {
+            console.error(`[eslint-baseline] ${issue.file}: ${issue.message}`);
+        }
     }
-    return baselineInstance;
+
+    return loaded.baseline;
 }
 
 /**
- * Reset the baseline instance (for testing)
+ * Drop the loaded baselines of a processor
+ * @param {Object} state - Processor state
+ * @param {string} [baselineFile] - Absolute baseline file (default: all baselines)
  */
-function resetBaseline() {
-    if (baselineInstance) {
-        baselineInstance.reset();
+function invalidateState(state, baselineFile) {
+    const targets = baselineFile ? [baselineFile] : [...state.baselineInstances.keys()];
+
+    for (const target of targets) {
+        const loaded = state.baselineInstances.get(target);
+        if (loaded) {
+            loaded.baseline.reset();
+            state.baselineInstances.delete(target);
+        }
     }
-    baselineInstance = null;
+
+    // A new baseline may now be the nearest one
+    state.discoveredBaselines.clear();
 }
 
 /**
- * Baseline processor
+ * Build a processor on a state
+ * @param {Object} state - Processor state
+ * @returns {Object} ESLint processor
  */
-const baselineProcessor = {
-    meta: {
-        name: 'baseline',
-        version: '1.0.0',
-    },
-
-    /**
-     * Preprocess - pass through unchanged
-     * @param {string} text - Source code
-     * @param {string} filename - File path
-     * @returns {Array}
-     */
-    preprocess(text, filename) {
-        // Ensure baseline is loaded
-        getBaseline();
-        return [text];
-    },
-
-    /**
-     * Postprocess - filter messages through baseline
-     * @param {Array} messages - Array of message arrays
-     * @param {string} filename - File path
-     * @returns {Array}
-     */
-    postprocess(messages, filename) {
-        const baseline = getBaseline();
-
-        // If no baseline data, return all messages
-        if (!baseline.data || Object.keys(baseline.data).length === 0) {
-            return messages.flat();
-        }
+function buildProcessor(state) {
+    return {
+        meta: {
+            name: getProcessorName(state.options),
+            version: '1.0.0',
+        },
 
-        const allMessages = messages.flat();
-        const filteredMessages = [];
+        /**
+         * Preprocess - pass through unchanged
+         * @param {string} text - Source code
+         * @param {string} filename - File path
+         * @returns {Array}
+         */
+        preprocess(text, filename) {
+            // Ensure baseline is loaded
+            getStateBaseline(state, { filename });
+            state.sources.set(filename, text);
+            return [text];
+        },
 
-        for (const msg of allMessages) {
-            // Keep parsing errors
-            if (!msg.ruleId) {
-                filteredMessages.push(msg);
-                continue;
-            }
+        /**
+         * Postprocess - filter messages through baseline
+         * @param {Array} messages - Array of message arrays
+         * @param {string} filename - File path
+         * @returns {Array}
+         */
+        postprocess(messages, filename) {
+            const baseline = getStateBaseline(state, { filename });
+            const source = state.sources.get(filename);
+            state.sources.delete(filename);
 
-            // Check if in baseline
-            if (!baseline.isInBaseline(filename, msg.ruleId, msg.line, msg.message)) {
-                filteredMessages.push(msg);
+            // If no baseline data or patterns, return all messages
+            const hasPatterns = baseline.patterns && baseline.patterns.length > 0;
+            if (!baseline.hasEntries() && !hasPatterns) {
+                return messages.flat();
             }
-        }
 
-        return filteredMessages;
-    },
+            const allMessages = messages.flat();
 
-    supportsAutofix: true,
-};
+            // Every lint of a file starts from its full counts (editors lint the same file again and again)
+            baseline.resetFileMatches(filename);
+
+            // Keep parsing errors (no rule) and messages that aren't in the baseline
+            const entries = baseline.matchFile(filename, allMessages, source);
+            return allMessages.filter((msg, position) => !entries[position]);
+        },
+
+        supportsAutofix: true,
+    };
+}
+
+/**
+ * Create a baseline processor
+ *
+ * Options not given fall back to the environment variables
+ * (ESLINT_BASELINE_FILE, ESLINT_BASELINE_SPLIT, ESLINT_BASELINE_LAZY).
+ *
+ * @param {Object} [options]
+ * @param {string} [options.baselineFile] - Baseline file (default: nearest .eslintbaseline.json)
+ * @param {string} [options.splitBy] - Split baseline by 'rule', top-level 'dir' or source 'file'
+ * @param {boolean} [options.splitByRule] - Split baseline by rule (same as splitBy: 'rule')
+ * @param {string} [options.matching] - Matching mode: 'line', 'context' or 'count' (default: the baseline's)
+ * @param {string} [options.format] - File format (default: from the baseline file extension)
+ * @param {boolean} [options.lazy] - Read entries file by file from a sidecar cache
+ * @returns {Object} ESLint processor
+ * @throws {Error} If the matching mode or split strategy is unknown
+ */
+function createProcessor(options = {}) {
+    if (options.matching && !MATCHING_MODES.includes(options.matching)) {
+        throw new Error(`Unknown matching mode "${options.matching}" (expected ${MATCHING_MODES.join(', ')})`);
+    }
+
+    if (options.splitBy && !SPLIT_STRATEGIES.includes(options.splitBy)) {
+        throw new Error(`Unknown split strategy "${options.splitBy}" (expected ${SPLIT_STRATEGIES.join(', ')})`);
+    }
+
+    return buildProcessor(createState({ ...options }));
+}
+
+/**
+ * Baseline processor (configured from environment variables)
+ */
+const defaultState = createState({});
+const baselineProcessor = buildProcessor(defaultState);
+
+/**
+ * Get or create baseline instance of the default processor
+ * @param {Object} options
+ * @param {string} [options.cwd] - Working directory
+ * @param {string} [options.filename] - Linted file, used to discover the nearest baseline
+ * @returns {Baseline}
+ */
+function getBaseline(options = {}) {
+    return getStateBaseline(defaultState, options);
+}
+
+/**
+ * Drop loaded baselines so they are read again on the next lint
+ *
+ * Baselines are reloaded automatically when they change on disk; this is
+ * for tools that know better (e.g. right after writing a baseline). Applies
+ * to every processor.
+ *
+ * @param {string} [baselineFile] - Baseline file (default: all baselines)
+ */
+function invalidateBaseline(baselineFile) {
+    for (const state of getLiveStates()) {
+        invalidateState(state, baselineFile ? path.resolve(baselineFile) : undefined);
+    }
+}
+
+/**
+ * Reset the baseline instances (for testing)
+ */
+function resetBaseline() {
+    invalidateBaseline();
+
+    for (const state of getLiveStates()) {
+        state.sources.clear();
+    }
+}
 
 module.exports = {
     baselineProcessor,
+    createProcessor,
     getBaseline,
+    invalidateBaseline,
     resetBaseline,
 };
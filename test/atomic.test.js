@@ -0,0 +1,124 @@
+/**
+ * Tests for atomic writes and locking
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const { Baseline } = require('../src/core/baseline');
+const { writeFileAtomic, withLock } = require('../src/core/atomic');
+
+describe('Atomic Writes', () => {
+    test('should not leave temporary files behind', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const filePath = path.join(tmpDir, '.eslintbaseline.json');
+
+        writeFileAtomic(filePath, '{}');
+        writeFileAtomic(filePath, '{"version": 2}');
+
+        assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '{"version": 2}');
+        assert.deepStrictEqual(fs.readdirSync(tmpDir), ['.eslintbaseline.json']);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should keep the previous split baseline when saving fails', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const baseline = new Baseline({ cwd: tmpDir, splitByRule: true });
+        const entry = { ruleId: 'no-console', line: 1, column: 1, message: 'Unexpected console' };
+
+        baseline.save({ 'src/a.js': [entry] });
+        fs.writeFileSync(path.join(tmpDir, '.eslintbaseline/README.md'), 'Do not edit');
+
+        // Fail halfway through writing the new files
+        baseline._sortBaseline = () => {
+            throw new Error('disk full');
+        };
+        assert.throws(() => baseline.save({ 'src/b.js': [entry] }), /disk full/);
+
+        assert.deepStrictEqual(fs.readdirSync(tmpDir), ['.eslintbaseline']);
+        const loaded = new Baseline({ cwd: tmpDir, splitByRule: true }).load();
+        assert.deepStrictEqual(Object.keys(loaded), ['src/a.js']);
+
+        // Files that aren't baseline files survive a successful save
+        delete baseline._sortBaseline;
+        baseline.save({ 'src/b.js': [entry] });
+        assert.ok(fs.existsSync(path.join(tmpDir, '.eslintbaseline/README.md')));
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+});
+
+describe('Locking', () => {
+    test('should fail when the lock is held by another process', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const target = path.join(tmpDir, '.eslintbaseline.json');
+
+        // A live process on this machine (the parent of the test runner)
+        fs.writeFileSync(`${target}.lock`, JSON.stringify({ pid: process.ppid, hostname: os.hostname() }));
+
+        assert.throws(() => withLock(target, () => {}, { timeout: 100 }), /locked by another process/);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should read, merge and save under one lock', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const entry = { ruleId: 'no-console', line: 1, column: 1, message: 'Unexpected console' };
+        const first = new Baseline({ cwd: tmpDir });
+        const second = new Baseline({ cwd: tmpDir });
+
+        first.save({ 'a.js': [entry] });
+        first.load();
+
+        // Another job updates its own files meanwhile
+        second.save({ 'a.js': [entry], 'b.js': [entry] });
+
+        first.transaction(() => {
+            assert.ok(fs.existsSync(`${first.getStoragePath()}.lock`), 'Lock should be held');
+            first.save(first.mergeScoped({ 'c.js': [entry] }, ['c.js']));
+        });
+
+        assert.deepStrictEqual(Object.keys(new Baseline({ cwd: tmpDir }).load()), ['a.js', 'b.js', 'c.js']);
+        assert.ok(!fs.existsSync(`${first.getStoragePath()}.lock`), 'Lock should be released');
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should save into a directory that does not exist yet', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const entry = { ruleId: 'no-console', line: 1, column: 1, message: 'Unexpected console' };
+
+        new Baseline({ cwd: tmpDir, baselineFile: 'baselines/eslint.json', splitByRule: true })
+            .save({ 'a.js': [entry] });
+
+        const loaded = new Baseline({ cwd: tmpDir, baselineFile: 'baselines/eslint.json', splitByRule: true }).load();
+        assert.deepStrictEqual(Object.keys(loaded), ['a.js']);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should take over stale locks', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const target = path.join(tmpDir, '.eslintbaseline.json');
+        const lockPath = `${target}.lock`;
+
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: process.ppid, hostname: 'other-host' }));
+        const old = new Date(Date.now() - 120000);
+        fs.utimesSync(lockPath, old, old);
+
+        assert.strictEqual(withLock(target, () => 'saved', { timeout: 100 }), 'saved');
+        assert.ok(!fs.existsSync(lockPath), 'Lock should be released');
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+});
@@ -8,9 +8,10 @@ const path = require('path');
 const fs = require('fs');
 const os = require('os');
 
-const { Baseline } = require('../src/core/baseline');
+const { Baseline, CURRENT_VERSION } = require('../src/core/baseline');
 const { Reporter } = require('../src/core/reporter');
 const { createFormatter } = require('../src/formatter');
+const { isExpired } = require('../src/core/metadata');
 
 describe('Baseline', () => {
     test('should create empty baseline', () => {
@@ -313,6 +314,173 @@ describe('Split Baseline', () => {
     });
 });
 
+describe('Split Strategies', () => {
+    const data = {
+        'index.js': [
+            { ruleId: 'no-console', line: 1, column: 1, message: 'Unexpected console' },
+        ],
+        'src/a.js': [
+            { ruleId: 'no-console', line: 2, column: 1, message: 'Unexpected console' },
+            { ruleId: 'no-debugger', line: 3, column: 1, message: 'Unexpected debugger' },
+        ],
+        'src/lib/b.js': [
+            { ruleId: 'no-console', line: 4, column: 1, message: 'Unexpected console' },
+        ],
+    };
+
+    test('should split by top-level directory', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const baseline = new Baseline({ cwd: tmpDir, splitBy: 'dir' });
+
+        baseline.save(structuredClone(data));
+
+        const baselineDir = path.join(tmpDir, '.eslintbaseline');
+        assert.deepStrictEqual(fs.readdirSync(baselineDir).sort(), ['_loader.json', '_root.json', 'src.json']);
+
+        const loader = JSON.parse(fs.readFileSync(path.join(baselineDir, '_loader.json'), 'utf8'));
+        assert.strictEqual(loader.splitBy, 'dir');
+
+        const loaded = new Baseline({ cwd: tmpDir, splitBy: 'dir' }).load();
+        assert.deepStrictEqual(Object.keys(loaded).sort(), ['index.js', 'src/a.js', 'src/lib/b.js']);
+        assert.strictEqual(loaded['src/a.js'].length, 2);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should mirror the source tree when split by file', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const baseline = new Baseline({ cwd: tmpDir, splitBy: 'file' });
+
+        baseline.save(structuredClone(data));
+
+        const baselineDir = path.join(tmpDir, '.eslintbaseline');
+        assert.ok(fs.existsSync(path.join(baselineDir, 'index.js.json')));
+        assert.ok(fs.existsSync(path.join(baselineDir, 'src/a.js.json')));
+        assert.ok(fs.existsSync(path.join(baselineDir, 'src/lib/b.js.json')));
+
+        const loaded = new Baseline({ cwd: tmpDir, splitBy: 'file' }).load();
+        assert.strictEqual(loaded['src/lib/b.js'].length, 1);
+
+        // Fixed files disappear, along with their empty directories
+        baseline.save({ 'index.js': data['index.js'] });
+        assert.ok(!fs.existsSync(path.join(baselineDir, 'src')));
+
+        assert.ok(baseline.exists());
+        baseline.delete();
+        assert.ok(!fs.existsSync(baselineDir));
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should load a split baseline whatever layout wrote it', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+
+        new Baseline({ cwd: tmpDir, splitBy: 'file' }).save(structuredClone(data));
+
+        const loaded = new Baseline({ cwd: tmpDir, splitByRule: true }).load();
+        assert.strictEqual(Object.keys(loaded).length, 3);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should reject unknown split strategies', () => {
+        assert.throws(() => new Baseline({ splitBy: 'owner' }), /Unknown split strategy/);
+    });
+});
+
+describe('Split Baseline Manifest', () => {
+    const data = {
+        'src/a.js': [
+            { ruleId: 'no-console', line: 1, column: 1, message: 'Unexpected console' },
+            { ruleId: 'no-debugger', line: 2, column: 1, message: 'Unexpected debugger' },
+        ],
+    };
+
+    test('should write checksums and load without issues', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        new Baseline({ cwd: tmpDir, splitByRule: true }).save(structuredClone(data));
+
+        const loader = JSON.parse(fs.readFileSync(path.join(tmpDir, '.eslintbaseline/_loader.json'), 'utf8'));
+        assert.deepStrictEqual(loader.files, ['no-console.json', 'no-debugger.json']);
+        assert.strictEqual(typeof loader.checksums['no-console.json'], 'string');
+
+        const baseline = new Baseline({ cwd: tmpDir, splitByRule: true });
+        baseline.load();
+        assert.deepStrictEqual(baseline.manifestIssues, []);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should report missing, unlisted and modified files', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const baselineDir = path.join(tmpDir, '.eslintbaseline');
+        new Baseline({ cwd: tmpDir, splitByRule: true }).save(structuredClone(data));
+
+        // Half-merged: one file lost, one added by another branch, one edited
+        fs.unlinkSync(path.join(baselineDir, 'no-debugger.json'));
+        fs.writeFileSync(path.join(baselineDir, 'no-alert.json'), JSON.stringify({
+            version: 2,
+            files: { 'src/b.js': [{ ruleId: 'no-alert', line: 1, column: 1, message: 'Unexpected alert' }] },
+        }));
+        const consolePath = path.join(baselineDir, 'no-console.json');
+        fs.writeFileSync(consolePath, fs.readFileSync(consolePath, 'utf8').replace('"line": 1', '"line": 5'));
+
+        const baseline = new Baseline({ cwd: tmpDir, splitByRule: true });
+        baseline.load();
+
+        const issues = baseline.manifestIssues.map((issue) => [issue.type, issue.file]);
+        assert.deepStrictEqual(issues.sort(), [
+            ['checksum', '.eslintbaseline/no-console.json'],
+            ['missing', '.eslintbaseline/no-debugger.json'],
+            ['unlisted', '.eslintbaseline/no-alert.json'],
+        ]);
+
+        // Unlisted files are not loaded
+        assert.strictEqual(baseline.data['src/b.js'], undefined);
+        assert.strictEqual(baseline.data['src/a.js'][0].line, 5);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should accept checksums across line ending conversions', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        new Baseline({ cwd: tmpDir, splitByRule: true }).save(structuredClone(data));
+
+        const consolePath = path.join(tmpDir, '.eslintbaseline/no-console.json');
+        fs.writeFileSync(consolePath, fs.readFileSync(consolePath, 'utf8').replace(/\n/g, '\r\n'));
+
+        const baseline = new Baseline({ cwd: tmpDir, splitByRule: true });
+        baseline.load();
+        assert.deepStrictEqual(baseline.manifestIssues, []);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should fail the check with strictManifest', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        new Baseline({ cwd: tmpDir, splitByRule: true }).save(structuredClone(data));
+        fs.unlinkSync(path.join(tmpDir, '.eslintbaseline/no-debugger.json'));
+
+        const results = [{ filePath: path.join(tmpDir, 'src/a.js'), messages: [] }];
+
+        const lenient = createFormatter({ splitByRule: true, color: false })(results, { cwd: tmpDir });
+        assert.strictEqual(lenient.exitCode, 0);
+        assert.ok(lenient.output.includes('listed in _loader.json but missing'));
+
+        const strict = createFormatter({ splitByRule: true, strictManifest: true, color: false })(results, { cwd: tmpDir });
+        assert.strictEqual(strict.exitCode, 1);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+});
+
 describe('Baseline Validation', () => {
     test('should handle invalid baseline format', () => {
         const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
@@ -630,3 +798,709 @@ describe('Baseline Existence', () => {
         fs.rmSync(tmpDir, { recursive: true });
     });
 });
+
+describe('Context Matching', () => {
+    test('should match errors after line shifts', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const filePath = path.join(tmpDir, 'file.js');
+        fs.writeFileSync(filePath, '\'use strict\';\n\nconst a = 1;\nconsole.log(a);\n');
+
+        const baseline = new Baseline({
+            cwd: tmpDir,
+            baselineFile: '.eslintbaseline.json',
+            matching: 'context',
+        });
+
+        baseline.save({
+            'file.js': [
+                { ruleId: 'no-console', line: 4, column: 1, message: 'Unexpected console statement.' },
+            ],
+        });
+        baseline.reset();
+        baseline.load();
+
+        assert.ok(baseline.data['file.js'][0].fingerprint);
+
+        // Two imports added at the top of the file
+        const shifted = 'import x from "x";\nimport y from "y";\n\'use strict\';\n\nconst a = 1;\nconsole.log(a);\n';
+        assert.strictEqual(
+            baseline.isInBaseline(filePath, 'no-console', 6, 'Unexpected console statement.', shifted),
+            true
+        );
+        assert.strictEqual(baseline.getUnmatched().length, 0);
+
+        // Consumed: a second occurrence is new
+        assert.strictEqual(
+            baseline.isInBaseline(filePath, 'no-console', 6, 'Unexpected console statement.', shifted),
+            false
+        );
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should not match when the surrounding code changed', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const filePath = path.join(tmpDir, 'file.js');
+        fs.writeFileSync(filePath, '\'use strict\';\n\nconst a = 1;\nconsole.log(a);\n');
+
+        const baseline = new Baseline({
+            cwd: tmpDir,
+            baselineFile: '.eslintbaseline.json',
+            matching: 'context',
+        });
+
+        baseline.save({
+            'file.js': [
+                { ruleId: 'no-console', line: 4, column: 1, message: 'Unexpected console statement.' },
+            ],
+        });
+        baseline.reset();
+
+        const changed = '\'use strict\';\n\nconst b = 2;\nconsole.log(b);\n';
+        assert.strictEqual(
+            baseline.isInBaseline(filePath, 'no-console', 4, 'Unexpected console statement.', changed),
+            true,
+            'exact line still matches'
+        );
+
+        baseline.reset();
+        assert.strictEqual(
+            baseline.isInBaseline(filePath, 'no-console', 5, 'Unexpected console statement.', `\n${changed}`),
+            false
+        );
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should keep moved entries when pruning', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const filePath = path.join(tmpDir, 'file.js');
+        fs.writeFileSync(filePath, '\'use strict\';\n\nconst a = 1;\nconsole.log(a);\n');
+
+        const baseline = new Baseline({
+            cwd: tmpDir,
+            baselineFile: '.eslintbaseline.json',
+            matching: 'context',
+        });
+
+        baseline.save({
+            'file.js': [
+                { ruleId: 'no-console', line: 4, column: 1, message: 'Unexpected console statement.' },
+            ],
+        });
+        baseline.reset();
+        baseline.load();
+
+        fs.writeFileSync(filePath, '// header\n\'use strict\';\n\nconst a = 1;\nconsole.log(a);\n');
+
+        const result = baseline.prune({
+            'file.js': [
+                { ruleId: 'no-console', line: 5, column: 1, message: 'Unexpected console statement.' },
+            ],
+        });
+
+        assert.strictEqual(result.removedCount, 0);
+        assert.strictEqual(result.keptCount, 1);
+        assert.strictEqual(result.data['file.js'][0].line, 5);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should match shifted errors of the same rule by their own context', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const filePath = path.join(tmpDir, 'file.js');
+        const source = [
+            'const a = 1;', 'const b = 2;', 'const c = 3;', 'console.log(a);', 'const d = 4;',
+            'const e = 5;', 'const f = 6;', 'console.log(d);', 'const g = 7;', 'const h = 8;',
+        ].join('\n');
+        const entry = (line) => ({ ruleId: 'no-console', line, column: 1, message: 'Unexpected console statement.' });
+        fs.writeFileSync(filePath, source);
+
+        new Baseline({ cwd: tmpDir, matching: 'context' }).save({ 'file.js': [entry(4), entry(8)] });
+
+        // Line 8 now holds the first error, the second one moved to line 12
+        fs.writeFileSync(filePath, '// header\n'.repeat(4) + source);
+
+        const baseline = new Baseline({ cwd: tmpDir });
+        assert.strictEqual(baseline.isInBaseline(filePath, 'no-console', 8, 'Unexpected console statement.'), true);
+        assert.strictEqual(baseline.isInBaseline(filePath, 'no-console', 12, 'Unexpected console statement.'), true);
+
+        // The entry on line 8 belongs to the second error
+        const [first, second] = new Baseline({ cwd: tmpDir }).matchFile(filePath, [entry(8), entry(12)]);
+        assert.strictEqual(first.line, 4);
+        assert.strictEqual(second.line, 8);
+
+        const result = new Baseline({ cwd: tmpDir }).prune({ 'file.js': [entry(8), entry(12)] });
+        assert.strictEqual(result.removedCount, 0);
+        assert.deepStrictEqual(result.data['file.js'].map((error) => error.line), [8, 12]);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should move entries with the same fingerprint to distinct lines when pruning', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const filePath = path.join(tmpDir, 'file.js');
+        const consoleLines = 'console.log(a);\n'.repeat(7);
+        const entry = (line) => ({ ruleId: 'no-console', line, column: 1, message: 'Unexpected console statement.' });
+        fs.writeFileSync(filePath, consoleLines);
+
+        // Lines 3 to 5 have identical context
+        const baseline = new Baseline({ cwd: tmpDir, matching: 'context' });
+        baseline.save({ 'file.js': [entry(3), entry(4), entry(5)] });
+        baseline.reset();
+        baseline.load();
+
+        fs.writeFileSync(filePath, '// header\n'.repeat(10) + consoleLines);
+
+        const result = baseline.prune({
+            'file.js': [11, 12, 13, 14, 15, 16, 17].map(entry),
+        });
+
+        assert.strictEqual(result.removedCount, 0);
+        assert.deepStrictEqual(result.data['file.js'].map((error) => error.line), [13, 14, 15]);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+});
+
+describe('Count Matching', () => {
+    test('should keep the matching mode the baseline was saved with', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const entries = [
+            { ruleId: 'no-console', line: 10, column: 1, message: 'Unexpected console' },
+            { ruleId: 'no-console', line: 20, column: 1, message: 'Unexpected console' },
+        ];
+
+        new Baseline({ cwd: tmpDir, matching: 'count' }).save({ 'a.js': structuredClone(entries) });
+        assert.strictEqual(JSON.parse(fs.readFileSync(path.join(tmpDir, '.eslintbaseline.json'), 'utf8')).matching, 'count');
+
+        // A later update without a matching mode keeps aggregating
+        const later = new Baseline({ cwd: tmpDir });
+        later.load();
+        assert.strictEqual(later.matching, 'count');
+        later.save({ 'a.js': structuredClone(entries) });
+        assert.deepStrictEqual(new Baseline({ cwd: tmpDir }).load()['a.js'], [
+            { ruleId: 'no-console', message: 'Unexpected console', count: 2 },
+        ]);
+
+        // An explicit mode switches back
+        const line = new Baseline({ cwd: tmpDir, matching: 'line' });
+        line.load();
+        line.save({ 'a.js': structuredClone(entries) });
+        const saved = JSON.parse(fs.readFileSync(path.join(tmpDir, '.eslintbaseline.json'), 'utf8'));
+        assert.strictEqual(saved.matching, undefined);
+        assert.strictEqual(saved.files['a.js'].length, 2);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should aggregate entries on save', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const baseline = new Baseline({
+            cwd: tmpDir,
+            baselineFile: '.eslintbaseline.json',
+            matching: 'count',
+        });
+
+        baseline.save({
+            'src/file.ts': [
+                { ruleId: 'no-console', line: 10, column: 1, message: 'Unexpected console' },
+                { ruleId: 'no-console', line: 20, column: 1, message: 'Unexpected console' },
+                { ruleId: 'no-debugger', line: 30, column: 1, message: 'Unexpected debugger' },
+            ],
+        });
+
+        const saved = JSON.parse(fs.readFileSync(path.join(tmpDir, '.eslintbaseline.json'), 'utf8'));
+        assert.deepStrictEqual(saved.files['src/file.ts'], [
+            { ruleId: 'no-console', message: 'Unexpected console', count: 2 },
+            { ruleId: 'no-debugger', message: 'Unexpected debugger', count: 1 },
+        ]);
+
+        const stats = baseline.getDetailedStats();
+        assert.strictEqual(stats.totalErrors, 3);
+        assert.strictEqual(stats.fileStats[0].count, 3);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should match by consuming counts regardless of line', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const baseline = new Baseline({
+            cwd: tmpDir,
+            baselineFile: '.eslintbaseline.json',
+            matching: 'count',
+        });
+
+        baseline.save({
+            'src/file.ts': [
+                { ruleId: 'no-console', message: 'Unexpected console', count: 3 },
+            ],
+        });
+        baseline.reset();
+
+        const filePath = path.join(tmpDir, 'src/file.ts');
+        assert.strictEqual(baseline.isInBaseline(filePath, 'no-console', 1, 'Unexpected console'), true);
+        assert.strictEqual(baseline.isInBaseline(filePath, 'no-console', 99, 'Unexpected console'), true);
+
+        const unmatched = baseline.getUnmatched();
+        assert.strictEqual(unmatched.length, 1);
+        assert.strictEqual(unmatched[0].unmatchedCount, 1);
+
+        assert.strictEqual(baseline.isInBaseline(filePath, 'no-console', 5, 'Unexpected console'), true);
+        assert.strictEqual(baseline.isInBaseline(filePath, 'no-console', 6, 'Unexpected console'), false);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should lower counts when pruning', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const baseline = new Baseline({
+            cwd: tmpDir,
+            baselineFile: '.eslintbaseline.json',
+            matching: 'count',
+        });
+
+        baseline.save({
+            'src/file.ts': [
+                { ruleId: 'no-console', message: 'Unexpected console', count: 3 },
+            ],
+        });
+        baseline.reset();
+        baseline.load();
+
+        const result = baseline.prune({
+            'src/file.ts': [
+                { ruleId: 'no-console', line: 42, column: 1, message: 'Unexpected console' },
+            ],
+        });
+
+        assert.strictEqual(result.removedCount, 2);
+        assert.strictEqual(result.keptCount, 1);
+        assert.strictEqual(result.data['src/file.ts'][0].count, 1);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+});
+
+describe('Ignore Patterns', () => {
+    test('should match errors with pattern entries', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        fs.writeFileSync(path.join(tmpDir, '.eslintbaselinerc.json'), JSON.stringify({
+            ignoreErrors: [
+                { message: '^Unexpected console', path: 'src/legacy/**', count: 2 },
+                { message: 'never used', ruleId: 'no-unused-vars' },
+            ],
+        }));
+
+        const baseline = new Baseline({
+            cwd: tmpDir,
+            baselineFile: '.eslintbaseline.json',
+        });
+        baseline.load();
+
+        const legacyFile = path.join(tmpDir, 'src/legacy/deep/file.js');
+        const otherFile = path.join(tmpDir, 'src/other.js');
+
+        assert.strictEqual(baseline.isInBaseline(legacyFile, 'no-console', 1, 'Unexpected console statement.'), true);
+        assert.strictEqual(baseline.isInBaseline(otherFile, 'no-console', 1, 'Unexpected console statement.'), false);
+        assert.strictEqual(baseline.isInBaseline(otherFile, 'no-undef', 1, 'x is never used'), false);
+
+        // Only the count-limited pattern is partially used, the other not at all
+        const unmatched = baseline.getUnmatched();
+        assert.strictEqual(unmatched.length, 2);
+        assert.ok(unmatched.every((entry) => entry.pattern));
+        assert.strictEqual(unmatched[0].unmatchedCount, 1);
+
+        assert.strictEqual(baseline.isInBaseline(legacyFile, 'no-console', 2, 'Unexpected console statement.'), true);
+        assert.strictEqual(baseline.isInBaseline(legacyFile, 'no-console', 3, 'Unexpected console statement.'), false);
+        assert.strictEqual(baseline.isInBaseline(otherFile, 'no-unused-vars', 1, 'x is never used'), true);
+        assert.strictEqual(baseline.getUnmatched().length, 0);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should not baseline errors covered by a pattern on update', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        fs.writeFileSync(path.join(tmpDir, '.eslintbaselinerc.json'), JSON.stringify({
+            ignoreErrors: [{ message: '^Unexpected console', path: 'src/**' }],
+        }));
+
+        const consoleError = { ruleId: 'no-console', line: 1, column: 1, message: 'Unexpected console statement.', severity: 2 };
+        const debug = { ruleId: 'no-debugger', line: 2, column: 1, message: 'Unexpected debugger statement.', severity: 2 };
+        const results = [{ filePath: path.join(tmpDir, 'src/a.js'), messages: [consoleError, debug] }];
+
+        createFormatter({ update: true, allowEmpty: true, color: false })(results, { cwd: tmpDir });
+        assert.deepStrictEqual(new Baseline({ cwd: tmpDir }).load(), { 'src/a.js': [debug] });
+
+        const { output, exitCode } = createFormatter({ color: false, reportUnmatched: true })(results, { cwd: tmpDir });
+        assert.strictEqual(exitCode, 0);
+        assert.ok(!output.includes('ignore patterns unused'));
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should report unused patterns', () => {
+        const reporter = new Reporter({ color: false });
+
+        const output = reporter.formatCheck({
+            newErrors: [],
+            baselinedCount: 0,
+            unmatched: [
+                { file: 'src/**', ruleId: '', message: 'foo', pattern: true, unmatchedCount: 1 },
+            ],
+            showUnmatchedDetails: true,
+        });
+
+        assert.ok(output.includes('Unmatched baseline entries'));
+        assert.ok(output.includes('pattern'));
+        assert.ok(output.includes('1 ignore patterns unused'));
+        assert.ok(!output.includes('baseline errors fixed'));
+    });
+});
+
+describe('Schema Versions', () => {
+    test('should save the versioned envelope', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const baseline = new Baseline({
+            cwd: tmpDir,
+            baselineFile: '.eslintbaseline.json',
+        });
+
+        baseline.save({ 'file.ts': [{ ruleId: 'test', line: 1, message: 'test' }] });
+
+        const saved = JSON.parse(fs.readFileSync(path.join(tmpDir, '.eslintbaseline.json'), 'utf8'));
+        assert.strictEqual(saved.version, CURRENT_VERSION);
+        assert.ok(saved.$schema);
+        assert.strictEqual(saved.files['file.ts'].length, 1);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should load and migrate version 1 baselines', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const baselinePath = path.join(tmpDir, '.eslintbaseline.json');
+        const data = { 'file.ts': [{ ruleId: 'test', line: 1, message: 'test' }] };
+        fs.writeFileSync(baselinePath, JSON.stringify(data));
+
+        const baseline = new Baseline({
+            cwd: tmpDir,
+            baselineFile: '.eslintbaseline.json',
+        });
+
+        baseline.load();
+        assert.strictEqual(baseline.version, 1);
+        assert.deepStrictEqual(baseline.data, data);
+
+        baseline.save(baseline.data, { allowEmpty: true });
+        baseline.reset();
+        baseline.load();
+        assert.strictEqual(baseline.version, CURRENT_VERSION);
+        assert.deepStrictEqual(baseline.data, data);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should reject baselines from a newer version', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        fs.writeFileSync(path.join(tmpDir, '.eslintbaseline.json'), JSON.stringify({
+            version: CURRENT_VERSION + 1,
+            files: { 'file.ts': [{ ruleId: 'test', line: 1, message: 'test' }] },
+        }));
+
+        const baseline = new Baseline({
+            cwd: tmpDir,
+            baselineFile: '.eslintbaseline.json',
+        });
+
+        baseline.load();
+        assert.deepStrictEqual(baseline.data, {});
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+});
+
+describe('Severity', () => {
+    test('should persist severity on update', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const formatter = createFormatter({ update: true, color: false });
+
+        formatter([
+            {
+                filePath: path.join(tmpDir, 'file.js'),
+                messages: [
+                    { ruleId: 'no-console', severity: 1, line: 1, column: 1, message: 'Unexpected console' },
+                ],
+            },
+        ], { cwd: tmpDir });
+
+        const baseline = new Baseline({ cwd: tmpDir });
+        baseline.load();
+        assert.strictEqual(baseline.data['file.js'][0].severity, 1);
+        assert.deepStrictEqual(baseline.getDetailedStats().severityStats, { error: 0, warning: 1 });
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should detect warning-to-error escalations', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        new Baseline({ cwd: tmpDir }).save({
+            'file.js': [
+                { ruleId: 'no-console', line: 1, column: 1, message: 'Unexpected console', severity: 1 },
+            ],
+        });
+
+        const results = [
+            {
+                filePath: path.join(tmpDir, 'file.js'),
+                messages: [
+                    { ruleId: 'no-console', severity: 2, line: 1, column: 1, message: 'Unexpected console' },
+                ],
+            },
+        ];
+
+        const lenient = createFormatter({ color: false })(results, { cwd: tmpDir });
+        assert.ok(lenient.output.includes('Severity escalations'));
+        assert.ok(lenient.output.includes('warning → error'));
+        assert.ok(lenient.output.includes('1 errors ignored'));
+        assert.strictEqual(lenient.exitCode, 0);
+
+        const strict = createFormatter({ color: false, failOnEscalation: true })(results, { cwd: tmpDir });
+        assert.ok(strict.output.includes('1 new errors'));
+        assert.strictEqual(strict.exitCode, 1);
+
+        // The compact format has no severities to compare
+        new Baseline({ cwd: tmpDir, baselineFile: 'baseline.txt' }).save({ 'file.js': [results[0].messages[0]] });
+        const errors = [];
+        const originalError = console.error;
+        console.error = (message) => errors.push(message);
+        try {
+            createFormatter({ color: false, failOnEscalation: true, baselineFile: 'baseline.txt' })(results, { cwd: tmpDir });
+        } finally {
+            console.error = originalError;
+        }
+        assert.deepStrictEqual(errors, ['[eslint-baseline] The compact format doesn\'t store severities: escalations can\'t be detected']);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+});
+
+describe('Entry Metadata', () => {
+    const metadata = { reason: 'Legacy logger', ticket: 'WEB-1', owner: '@web', expires: '2999-12-31' };
+
+    test('should keep metadata of entries that still match on update', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        new Baseline({ cwd: tmpDir }).save({
+            'file.js': [
+                { ruleId: 'no-console', line: 1, column: 1, message: 'Unexpected console', severity: 2, ...metadata },
+                { ruleId: 'no-console', line: 2, column: 1, message: 'Unexpected console', severity: 2, reason: 'Fixed' },
+            ],
+        });
+
+        createFormatter({ update: true, color: false })([
+            {
+                filePath: path.join(tmpDir, 'file.js'),
+                messages: [
+                    { ruleId: 'no-console', severity: 2, line: 1, column: 1, message: 'Unexpected console' },
+                    { ruleId: 'no-debugger', severity: 2, line: 3, column: 1, message: 'Unexpected debugger' },
+                ],
+            },
+        ], { cwd: tmpDir });
+
+        const baseline = new Baseline({ cwd: tmpDir });
+        baseline.load();
+        assert.deepStrictEqual(baseline.data['file.js'], [
+            { ruleId: 'no-console', line: 1, column: 1, message: 'Unexpected console', severity: 2, ...metadata },
+            { ruleId: 'no-debugger', line: 3, column: 1, message: 'Unexpected debugger', severity: 2 },
+        ]);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should keep metadata when aggregating and pruning count entries', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const baseline = new Baseline({ cwd: tmpDir, matching: 'count' });
+        baseline.save({
+            'file.js': [
+                { ruleId: 'no-console', line: 1, message: 'Unexpected console' },
+                { ruleId: 'no-console', line: 2, message: 'Unexpected console', ticket: 'WEB-2' },
+            ],
+        });
+
+        baseline.load();
+        const { data } = baseline.prune({
+            'file.js': [{ ruleId: 'no-console', line: 9, message: 'Unexpected console' }],
+        });
+        assert.deepStrictEqual(data['file.js'], [
+            { ruleId: 'no-console', message: 'Unexpected console', count: 1, ticket: 'WEB-2' },
+        ]);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should report expired entries and fail with failOnExpired', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        new Baseline({ cwd: tmpDir }).save({
+            'file.js': [
+                { ruleId: 'no-console', line: 1, column: 1, message: 'Unexpected console', severity: 1, owner: '@web', expires: '2000-01-01' },
+                { ruleId: 'no-console', line: 2, column: 1, message: 'Unexpected console', severity: 1, ...metadata },
+            ],
+        });
+
+        const results = [
+            {
+                filePath: path.join(tmpDir, 'file.js'),
+                messages: [
+                    { ruleId: 'no-console', severity: 1, line: 1, column: 1, message: 'Unexpected console' },
+                    { ruleId: 'no-console', severity: 1, line: 2, column: 1, message: 'Unexpected console' },
+                ],
+            },
+        ];
+
+        const lenient = createFormatter({ color: false })(results, { cwd: tmpDir });
+        assert.ok(lenient.output.includes('Expired baseline entries'));
+        assert.ok(lenient.output.includes('expired 2000-01-01'));
+        assert.ok(lenient.output.includes('(@web)'));
+        assert.ok(lenient.output.includes('1 expired baseline entries'));
+        assert.ok(lenient.output.includes('2 errors ignored'));
+        assert.strictEqual(lenient.exitCode, 0);
+
+        // Expired warnings fail the run too
+        const strict = createFormatter({ color: false, failOnExpired: true })(results, { cwd: tmpDir });
+        assert.ok(strict.output.includes('1 errors ignored'));
+        assert.ok(strict.output.includes('1 expired baseline entries (reported as new errors)'));
+        assert.strictEqual(strict.exitCode, 1);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should expire date-only entries at the end of the day', () => {
+        const entry = { expires: '2025-06-30' };
+
+        assert.strictEqual(isExpired(entry, Date.parse('2025-06-30T23:59:59Z')), false);
+        assert.strictEqual(isExpired(entry, Date.parse('2025-07-01T00:00:00Z')), true);
+        assert.strictEqual(isExpired({ expires: 'soon' }), false);
+        assert.strictEqual(isExpired({}), false);
+    });
+});
+
+describe('Scoped Updates', () => {
+    test('should keep entries of files outside the linted scope', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        new Baseline({ cwd: tmpDir }).save({
+            'moduleA/a.js': [{ ruleId: 'no-console', line: 1, column: 1, message: 'Old' }],
+            'moduleB/b.js': [{ ruleId: 'no-console', line: 1, column: 1, message: 'Kept' }],
+        });
+
+        const formatter = createFormatter({ update: true, color: false, scoped: true });
+        const { output } = formatter([
+            {
+                filePath: path.join(tmpDir, 'moduleA/a.js'),
+                messages: [{ ruleId: 'no-debugger', severity: 2, line: 2, column: 1, message: 'New' }],
+            },
+            {
+                filePath: path.join(tmpDir, 'moduleA/clean.js'),
+                messages: [],
+            },
+        ], { cwd: tmpDir });
+
+        assert.ok(output.includes('Updated entries for 2 linted files'));
+
+        const baseline = new Baseline({ cwd: tmpDir });
+        baseline.load();
+        assert.strictEqual(baseline.data['moduleA/a.js'][0].message, 'New');
+        assert.strictEqual(baseline.data['moduleB/b.js'][0].message, 'Kept');
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should only prune files in scope', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const baseline = new Baseline({ cwd: tmpDir });
+        baseline.save({
+            'a.js': [{ ruleId: 'no-console', line: 1, column: 1, message: 'Fixed' }],
+            'b.js': [{ ruleId: 'no-console', line: 1, column: 1, message: 'Not linted' }],
+        });
+        baseline.reset();
+
+        const result = baseline.prune({}, { scope: ['a.js'] });
+
+        assert.strictEqual(result.removedCount, 1);
+        assert.strictEqual(result.keptCount, 1);
+        assert.deepStrictEqual(Object.keys(result.data), ['b.js']);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+});
+
+describe('Baseline Paths', () => {
+    test('should store paths relative to the baseline file', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const subDir = path.join(tmpDir, 'packages', 'app');
+        fs.mkdirSync(subDir, { recursive: true });
+
+        new Baseline({ cwd: tmpDir }).save({
+            'packages/app/file.js': [{ ruleId: 'no-console', line: 1, column: 1, message: 'Unexpected console' }],
+        });
+
+        // Running from a subdirectory
+        const baseline = new Baseline({
+            cwd: subDir,
+            baselineFile: path.join(tmpDir, '.eslintbaseline.json'),
+        });
+
+        assert.strictEqual(baseline.relativePath('file.js'), 'packages/app/file.js');
+        assert.strictEqual(baseline.isInBaseline('file.js', 'no-console', 1, 'Unexpected console'), true);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should find the nearest baseline upwards', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const subDir = path.join(tmpDir, 'a', 'b');
+        fs.mkdirSync(subDir, { recursive: true });
+        fs.writeFileSync(path.join(tmpDir, '.eslintbaseline.json'), '{}');
+
+        assert.strictEqual(Baseline.find(subDir), path.join(tmpDir, '.eslintbaseline.json'));
+        assert.strictEqual(Baseline.find(subDir, '.eslintbaseline.json', { splitByRule: true }), null);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should normalise Windows separators on load', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        fs.writeFileSync(path.join(tmpDir, '.eslintbaseline.json'), JSON.stringify({
+            'src\\file.js': [{ ruleId: 'test', line: 1, message: 'test' }],
+        }));
+
+        const baseline = new Baseline({ cwd: tmpDir });
+        baseline.load();
+
+        assert.deepStrictEqual(Object.keys(baseline.data), ['src/file.js']);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * Tests for the boy-scout check
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+
+const { Baseline } = require('../src/core/baseline');
+const { Reporter } = require('../src/core/reporter');
+const { checkBoyScout, getAllowedCount } = require('../src/core/boyscout');
+const { git, createRepo, consoleEntries } = require('./helpers');
+
+describe('Boy-scout Check', () => {
+    test('should require modified files to have fewer baselined errors', () => {
+        const tmpDir = createRepo();
+
+        for (const file of ['a.js', 'b.js', 'c.js', 'd.js']) {
+            fs.writeFileSync(path.join(tmpDir, file), '');
+        }
+        new Baseline({ cwd: tmpDir }).save({
+            'a.js': consoleEntries(10),
+            'b.js': consoleEntries(4),
+            'c.js': consoleEntries(3),
+        });
+        git(tmpDir, 'add', '-A');
+        git(tmpDir, 'commit', '-qm', 'init');
+        git(tmpDir, 'tag', 'base');
+
+        // a.js and b.js are touched, c.js isn't, d.js had no baselined errors
+        for (const file of ['a.js', 'b.js', 'd.js']) {
+            fs.writeFileSync(path.join(tmpDir, file), '// touched\n');
+        }
+        new Baseline({ cwd: tmpDir }).save({
+            'a.js': consoleEntries(8),
+            'b.js': consoleEntries(4),
+            'c.js': consoleEntries(3),
+        });
+        git(tmpDir, 'commit', '-qam', 'work');
+
+        const baseline = new Baseline({ cwd: tmpDir });
+        assert.deepStrictEqual(checkBoyScout(baseline, 'base'), [
+            { file: 'a.js', before: 10, after: 8, allowed: 9, passed: true },
+            { file: 'b.js', before: 4, after: 4, allowed: 3, passed: false },
+        ]);
+
+        const [withThreshold] = checkBoyScout(baseline, 'base', { threshold: 25 });
+        assert.deepStrictEqual(withThreshold, { file: 'a.js', before: 10, after: 8, allowed: 7, passed: false });
+
+        assert.throws(() => checkBoyScout(baseline, 'no-such-ref'), /Unknown git revision/);
+
+        const output = new Reporter({ color: false }).formatBoyScout(checkBoyScout(baseline, 'base'), 'base');
+        assert.ok(output.includes('a.js  10 → 8  ok'));
+        assert.ok(output.includes('b.js  4 → 4  needs 3 or fewer'));
+        assert.ok(output.includes('1 of 2 modified files'));
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should compute the allowed count from the threshold', () => {
+        assert.strictEqual(getAllowedCount(1, 0), 0);
+        assert.strictEqual(getAllowedCount(10, 0), 9);
+        assert.strictEqual(getAllowedCount(10, 10), 9);
+        assert.strictEqual(getAllowedCount(10, 15), 8);
+        assert.strictEqual(getAllowedCount(3, 100), 0);
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for baseline budgets
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const { Baseline } = require('../src/core/baseline');
+const { createFormatter } = require('../src/formatter');
+const { loadBudgets, evaluateBudgets } = require('../src/core/budgets');
+const { consoleEntry } = require('./helpers');
+
+/**
+ * Write the config file of a baseline directory
+ * @param {string} dir
+ * @param {Object} config
+ */
+function writeConfig(dir, config) {
+    fs.writeFileSync(path.join(dir, '.eslintbaselinerc.json'), JSON.stringify(config));
+}
+
+describe('Budgets', () => {
+    test('should count entries per rule and per path glob', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        writeConfig(tmpDir, {
+            budgets: {
+                rules: { 'no-console': 2, 'no-debugger': 1, 'no-eval': -1 },
+                paths: { 'src/payments/**': 0 },
+            },
+        });
+
+        const baseline = new Baseline({ cwd: tmpDir });
+        baseline.save({
+            'src/payments/card.js': [consoleEntry(1), consoleEntry(2), consoleEntry(3)],
+            'src/app.js': [{ ruleId: 'no-debugger', line: 1, message: 'Unexpected debugger.' }],
+        });
+
+        const errors = [];
+        const originalError = console.error;
+        console.error = (message) => errors.push(message);
+        let budgets;
+        try {
+            budgets = loadBudgets(tmpDir);
+        } finally {
+            console.error = originalError;
+        }
+
+        assert.strictEqual(errors.length, 1);
+        assert.deepStrictEqual(evaluateBudgets(budgets, baseline.getDetailedStats()), [
+            { type: 'rule', name: 'no-console', budget: 2, count: 3 },
+            { type: 'rule', name: 'no-debugger', budget: 1, count: 1 },
+            { type: 'path', name: 'src/payments/**', budget: 0, count: 3 },
+        ]);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should fail the check when a budget is exceeded', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        writeConfig(tmpDir, { budgets: { rules: { 'no-console': 1 } } });
+        new Baseline({ cwd: tmpDir }).save({ 'a.js': [consoleEntry(1), consoleEntry(2)] });
+
+        const results = [{ filePath: path.join(tmpDir, 'a.js'), messages: [consoleEntry(1), consoleEntry(2)] }];
+        const { output, exitCode } = createFormatter({ color: false })(results, { cwd: tmpDir });
+
+        assert.ok(output.includes('2/1  1 over'));
+        assert.ok(output.includes('1 budgets exceeded'));
+        assert.strictEqual(exitCode, 1);
+
+        writeConfig(tmpDir, { budgets: { rules: { 'no-console': 3 } } });
+        const under = createFormatter({ color: false })(results, { cwd: tmpDir });
+        assert.ok(under.output.includes('2/3  1 under'));
+        assert.strictEqual(under.exitCode, 0);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should enforce and tighten budgets on update', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        writeConfig(tmpDir, { ignoreErrors: [], budgets: { rules: { 'no-console': 3 }, tighten: true } });
+
+        const update = createFormatter({ update: true, color: false });
+        const filePath = path.join(tmpDir, 'a.js');
+
+        const shrunk = update([{ filePath, messages: [consoleEntry(1)] }], { cwd: tmpDir });
+        assert.strictEqual(shrunk.exitCode, 0);
+        assert.ok(shrunk.output.includes('3 → 1'));
+
+        const config = JSON.parse(fs.readFileSync(path.join(tmpDir, '.eslintbaselinerc.json'), 'utf8'));
+        assert.deepStrictEqual(config, { ignoreErrors: [], budgets: { rules: { 'no-console': 1 }, tighten: true } });
+
+        const grown = update([{ filePath, messages: [consoleEntry(1), consoleEntry(2)] }], { cwd: tmpDir });
+        assert.strictEqual(grown.exitCode, 1);
+        assert.ok(grown.output.includes('Baseline exceeds its budgets'));
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+});
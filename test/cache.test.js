@@ -0,0 +1,141 @@
+/**
+ * Tests for lazy loading from the sidecar cache
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const { Baseline } = require('../src/core/baseline');
+const { computeSignature, readCache } = require('../src/core/cache');
+
+const data = {
+    'src/a.js': [
+        { ruleId: 'no-console', line: 1, column: 1, message: 'Unexpected console statement.', severity: 2 },
+    ],
+    'src/b.js': [
+        { ruleId: 'no-undef', line: 2, column: 3, message: "'x' is not defined.", severity: 2 },
+        { ruleId: 'no-undef', line: 5, column: 3, message: "'y' is not defined.", severity: 2 },
+    ],
+};
+
+/**
+ * Create a lazy baseline over a saved baseline
+ * @param {string} tmpDir
+ * @param {Object} [options]
+ * @returns {Baseline}
+ */
+function createLazyBaseline(tmpDir, options = {}) {
+    return new Baseline({ cwd: tmpDir, cacheDir: '.cache', lazy: true, ...options });
+}
+
+describe('Lazy Loading', () => {
+    test('should build the cache on first load and match from it afterwards', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        new Baseline({ cwd: tmpDir }).save(structuredClone(data));
+
+        const first = createLazyBaseline(tmpDir);
+        assert.deepStrictEqual(first.load(), data);
+        assert.ok(fs.existsSync(path.join(tmpDir, '.cache', 'meta.json')));
+
+        const lazy = createLazyBaseline(tmpDir);
+        assert.deepStrictEqual(lazy.load(), {});
+        assert.strictEqual(lazy.version, 2);
+        assert.strictEqual(lazy.hasEntries(), true);
+
+        assert.strictEqual(lazy.isInBaseline('src/b.js', 'no-undef', 2, "'x' is not defined."), true);
+        assert.strictEqual(lazy.isInBaseline('src/c.js', 'no-undef', 2, "'x' is not defined."), false);
+        assert.deepStrictEqual(Object.keys(lazy.data), ['src/b.js']);
+
+        // Only the files looked up are reported
+        assert.deepStrictEqual(lazy.getUnmatched().map((entry) => entry.line), [5]);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should rebuild the cache when the baseline changes', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        new Baseline({ cwd: tmpDir }).save(structuredClone(data));
+        createLazyBaseline(tmpDir).load();
+
+        new Baseline({ cwd: tmpDir }).save({ 'src/c.js': data['src/a.js'] });
+
+        const lazy = createLazyBaseline(tmpDir);
+        lazy.load();
+        assert.deepStrictEqual(Object.keys(lazy.data), ['src/c.js']);
+        assert.strictEqual(lazy.isInBaseline('src/a.js', 'no-console', 1, 'Unexpected console statement.'), false);
+
+        const signature = computeSignature(path.join(tmpDir, '.eslintbaseline.json'));
+        assert.ok(readCache(path.join(tmpDir, '.cache'), signature));
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should read every file for whole-baseline operations', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        new Baseline({ cwd: tmpDir }).save(structuredClone(data));
+        createLazyBaseline(tmpDir).load();
+
+        const lazy = createLazyBaseline(tmpDir);
+        assert.strictEqual(lazy.isInBaseline('src/a.js', 'no-console', 1, 'Unexpected console statement.'), true);
+        assert.strictEqual(lazy.getStats().totalErrors, 3);
+        assert.deepStrictEqual(lazy.data, data);
+
+        // Consumed entries stay consumed
+        assert.strictEqual(lazy.getUnmatched().length, 2);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should cache split baselines with their manifest issues', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        new Baseline({ cwd: tmpDir, splitBy: 'file' }).save(structuredClone(data));
+        fs.writeFileSync(path.join(tmpDir, '.eslintbaseline', 'stray.json'), '{}');
+
+        createLazyBaseline(tmpDir, { splitBy: 'file' }).load();
+
+        const lazy = createLazyBaseline(tmpDir, { splitBy: 'file' });
+        assert.deepStrictEqual(lazy.load(), {});
+        assert.deepStrictEqual(lazy.manifestIssues.map((issue) => issue.type), ['unlisted']);
+        assert.strictEqual(lazy.isInBaseline('src/a.js', 'no-console', 1, 'Unexpected console statement.'), true);
+
+        // Editing any split file invalidates the cache
+        fs.writeFileSync(path.join(tmpDir, '.eslintbaseline', 'src', 'a.js.json'), '{"version":2,"files":{}}');
+        const changed = createLazyBaseline(tmpDir, { splitBy: 'file' });
+        changed.load();
+        assert.strictEqual(changed.isInBaseline('src/a.js', 'no-console', 1, 'Unexpected console statement.'), false);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should fall back to the baseline when the cache disappears', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        new Baseline({ cwd: tmpDir }).save(structuredClone(data));
+        createLazyBaseline(tmpDir).load();
+
+        const lazy = createLazyBaseline(tmpDir);
+        lazy.load();
+        fs.rmSync(path.join(tmpDir, '.cache'), { recursive: true });
+
+        const errors = [];
+        const originalError = console.error;
+        console.error = (message) => errors.push(message);
+        try {
+            assert.strictEqual(lazy.isInBaseline('src/b.js', 'no-undef', 5, "'y' is not defined."), true);
+        } finally {
+            console.error = originalError;
+        }
+
+        assert.strictEqual(errors.length, 1);
+        assert.deepStrictEqual(lazy.data, data);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+});
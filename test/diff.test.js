@@ -0,0 +1,92 @@
+/**
+ * Tests for baseline diffs
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+
+const { Baseline } = require('../src/core/baseline');
+const { Reporter } = require('../src/core/reporter');
+const { diffBaselines, loadSide } = require('../src/core/diff');
+const { git, createRepo, consoleEntry, debuggerEntry } = require('./helpers');
+
+describe('Baseline Diff', () => {
+    test('should report added, removed and moved entries', () => {
+        const diff = diffBaselines(
+            {
+                'a.js': [consoleEntry(1), consoleEntry(5), debuggerEntry(8)],
+                'old.js': [consoleEntry(2)],
+            },
+            {
+                'a.js': [consoleEntry(1), consoleEntry(7), debuggerEntry(8), debuggerEntry(9)],
+                'b.js': [consoleEntry(3)],
+            },
+        );
+
+        assert.deepStrictEqual(diff.moved, [
+            { file: 'a.js', ruleId: 'no-console', message: 'Unexpected console statement.', from: 5, to: 7 },
+        ]);
+        assert.deepStrictEqual(diff.added.map(({ file, line }) => `${file}:${line}`), ['a.js:9', 'b.js:3']);
+        assert.deepStrictEqual(diff.removed.map(({ file, line }) => `${file}:${line}`), ['old.js:2']);
+        assert.deepStrictEqual(diff.totals, { added: 2, removed: 1, moved: 1 });
+        assert.deepStrictEqual(diff.byRule, [
+            { ruleId: 'no-console', added: 1, removed: 1, moved: 1 },
+            { ruleId: 'no-debugger', added: 1, removed: 0, moved: 0 },
+        ]);
+        assert.deepStrictEqual(diff.byFile.map(({ file }) => file), ['a.js', 'b.js', 'old.js']);
+    });
+
+    test('should compare count entries by their totals', () => {
+        const countEntry = (count) => ({ ruleId: 'no-console', message: 'Unexpected console statement.', count });
+
+        const diff = diffBaselines(
+            { 'a.js': [countEntry(3)], 'b.js': [consoleEntry(1), consoleEntry(2)] },
+            { 'a.js': [countEntry(5)], 'b.js': [countEntry(1)] },
+        );
+
+        assert.deepStrictEqual(diff.added, [
+            { file: 'a.js', ruleId: 'no-console', message: 'Unexpected console statement.', count: 2 },
+        ]);
+        assert.deepStrictEqual(diff.removed, [
+            { file: 'b.js', ruleId: 'no-console', message: 'Unexpected console statement.', count: 1 },
+        ]);
+        assert.deepStrictEqual(diff.totals, { added: 2, removed: 1, moved: 0 });
+    });
+
+    test('should load baseline files, split directories and git revisions', () => {
+        const tmpDir = createRepo();
+
+        const baseline = new Baseline({ cwd: tmpDir, splitBy: 'rule' });
+        baseline.save({ 'a.js': [consoleEntry(1), debuggerEntry(2)] });
+        git(tmpDir, 'add', '-A');
+        git(tmpDir, 'commit', '-qm', 'init');
+
+        baseline.save({ 'a.js': [consoleEntry(4)] });
+        new Baseline({ cwd: tmpDir, baselineFile: 'other.yaml' }).save({ 'a.js': [consoleEntry(4)] });
+
+        const working = new Baseline({ cwd: tmpDir, splitBy: 'rule' });
+        const diff = diffBaselines(loadSide(working, 'HEAD'), loadSide(working));
+        assert.deepStrictEqual(diff.totals, { added: 0, removed: 1, moved: 1 });
+
+        assert.deepStrictEqual(loadSide(working, 'other.yaml'), loadSide(working, '.eslintbaseline'));
+        assert.throws(() => loadSide(working, 'no-such-ref'), /Unknown git revision/);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should format the diff by rule and by file', () => {
+        const reporter = new Reporter({ color: false });
+        const diff = diffBaselines({ 'a.js': [consoleEntry(1)] }, { 'a.js': [consoleEntry(2), debuggerEntry(3)] });
+        const output = reporter.formatDiff(diff, 'HEAD', 'working baseline');
+
+        assert.ok(output.includes('Baseline diff: HEAD → working baseline'));
+        assert.ok(output.includes('no-console   +0  -0  ~1'));
+        assert.ok(output.includes('1 → 2  Unexpected console statement.'));
+        assert.ok(output.includes('1 errors added, 0 removed, 1 moved'));
+
+        assert.ok(reporter.formatDiff(diffBaselines({}, {}), 'a', 'b').includes('No differences.'));
+    });
+});
@@ -0,0 +1,198 @@
+/**
+ * Tests for git integration
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { execFileSync } = require('child_process');
+
+const { Baseline } = require('../src/core/baseline');
+const { findRenamesSinceBaseline, getChangedFiles } = require('../src/core/git');
+const { createFormatter } = require('../src/formatter');
+const { git, createRepo } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'bin', 'cli.js');
+
+// The CLI tests run ESLint, which is a peer dependency
+const hasEslint = fs.existsSync(path.join(__dirname, '..', 'node_modules', 'eslint', 'bin', 'eslint.js'));
+
+describe('Renames', () => {
+    test('should carry entries over to renamed files', () => {
+        const tmpDir = createRepo();
+        fs.mkdirSync(path.join(tmpDir, 'src/legacy'), { recursive: true });
+        fs.writeFileSync(path.join(tmpDir, 'src/legacy/a.js'), 'console.log("legacy");\n'.repeat(5));
+
+        const baseline = new Baseline({ cwd: tmpDir });
+        baseline.save({
+            'src/legacy/a.js': [
+                { ruleId: 'no-console', line: 1, column: 1, message: 'Unexpected console statement.' },
+            ],
+        });
+
+        git(tmpDir, 'add', '-A');
+        git(tmpDir, 'commit', '-qm', 'init');
+        fs.mkdirSync(path.join(tmpDir, 'src/old'));
+        git(tmpDir, 'mv', 'src/legacy/a.js', 'src/old/a.js');
+
+        const renames = findRenamesSinceBaseline(baseline.getRootDir(), baseline.getStoragePath());
+        assert.strictEqual(renames.get('src/legacy/a.js'), 'src/old/a.js');
+
+        baseline.load();
+        const remapped = baseline.applyRenames(renames);
+        assert.deepStrictEqual(remapped, [
+            { from: 'src/legacy/a.js', to: 'src/old/a.js', count: 1 },
+        ]);
+
+        const newPath = path.join(tmpDir, 'src/old/a.js');
+        assert.strictEqual(baseline.isInBaseline(newPath, 'no-console', 1, 'Unexpected console statement.'), true);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should keep metadata of renamed files on a full update', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const entry = { ruleId: 'no-console', line: 1, column: 1, message: 'Unexpected console statement.', severity: 2 };
+        new Baseline({ cwd: tmpDir }).save({ 'lib/b.js': [{ ...entry, reason: 'legacy' }] });
+
+        const renames = new Map([['lib/b.js', 'lib/c.js']]);
+        const { output, exitCode } = createFormatter({ update: true, renames, color: false })([
+            { filePath: path.join(tmpDir, 'lib/c.js'), messages: [entry] },
+        ], { cwd: tmpDir });
+
+        assert.strictEqual(exitCode, 0);
+        assert.ok(output.includes('Renamed files'));
+        assert.ok(output.includes('lib/b.js → lib/c.js'));
+        assert.deepStrictEqual(new Baseline({ cwd: tmpDir }).load(), { 'lib/c.js': [{ ...entry, reason: 'legacy' }] });
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should return no renames outside a git repository', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+
+        assert.strictEqual(findRenamesSinceBaseline(tmpDir, path.join(tmpDir, '.eslintbaseline.json')).size, 0);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+});
+
+describe('Changed Files', () => {
+    test('should list files changed since the merge base, or staged', () => {
+        const tmpDir = createRepo();
+        fs.writeFileSync(path.join(tmpDir, 'a.js'), '');
+        fs.writeFileSync(path.join(tmpDir, 'b.js'), '');
+        git(tmpDir, 'add', '-A');
+        git(tmpDir, 'commit', '-qm', 'init');
+        git(tmpDir, 'tag', 'base');
+
+        fs.writeFileSync(path.join(tmpDir, 'a.js'), 'debugger;\n');
+        git(tmpDir, 'commit', '-qam', 'change a');
+        fs.rmSync(path.join(tmpDir, 'b.js'));
+        fs.mkdirSync(path.join(tmpDir, 'src'));
+        fs.writeFileSync(path.join(tmpDir, 'src/c.js'), '');
+        fs.writeFileSync(path.join(tmpDir, 'src/d.js'), '');
+        git(tmpDir, 'add', 'src/d.js');
+
+        assert.deepStrictEqual(getChangedFiles(tmpDir, { since: 'base' }), ['a.js', 'src/c.js', 'src/d.js']);
+        assert.deepStrictEqual(getChangedFiles(tmpDir, { staged: true }), ['src/d.js']);
+        assert.deepStrictEqual(getChangedFiles(path.join(tmpDir, 'src'), { since: 'base' }), ['c.js', 'd.js']);
+        assert.strictEqual(getChangedFiles(tmpDir, { since: 'no-such-ref' }), null);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should keep entries of untouched files when pruning changed files', { skip: !hasEslint }, () => {
+        const tmpDir = createRepo();
+        const entry = { ruleId: 'no-console', line: 1, column: 1, message: 'Unexpected console statement.' };
+        fs.writeFileSync(path.join(tmpDir, 'eslint.config.js'), "module.exports = [{ rules: { 'no-console': 'error' } }];\n");
+        fs.writeFileSync(path.join(tmpDir, 'a.js'), 'console.log(1);\n');
+        fs.writeFileSync(path.join(tmpDir, 'b.js'), 'console.log(1);\n');
+        new Baseline({ cwd: tmpDir }).save({ 'a.js': [entry], 'b.js': [entry] });
+        git(tmpDir, 'add', '-A');
+        git(tmpDir, 'commit', '-qm', 'init');
+
+        // a.js is fixed, b.js isn't linted
+        fs.writeFileSync(path.join(tmpDir, 'a.js'), '');
+        execFileSync(process.execPath, [CLI, '--prune', '--since', 'HEAD', '--no-color'], { cwd: tmpDir });
+
+        assert.deepStrictEqual(Object.keys(new Baseline({ cwd: tmpDir }).load()), ['b.js']);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should lint every changed file ESLint is configured for', { skip: !hasEslint }, () => {
+        const tmpDir = createRepo();
+        fs.writeFileSync(path.join(tmpDir, 'eslint.config.js'), [
+            'module.exports = [',
+            "    { files: ['**/*.js', '**/*.es6'], rules: { 'no-console': 'error' } },",
+            '];\n',
+        ].join('\n'));
+        git(tmpDir, 'add', '-A');
+        git(tmpDir, 'commit', '-qm', 'init');
+
+        fs.writeFileSync(path.join(tmpDir, 'a.es6'), 'console.log(1);\n');
+        fs.writeFileSync(path.join(tmpDir, 'README.md'), '# Docs\n');
+
+        const run = () => execFileSync(process.execPath, [CLI, '--since', 'HEAD', '--no-color'], {
+            cwd: tmpDir,
+            encoding: 'utf8',
+        });
+
+        assert.throws(run, (error) => error.status === 1 && error.stdout.includes('a.es6')
+            && !error.stdout.includes('README.md'));
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should only lint changed scripts with an eslintrc config', { skip: !hasEslint }, () => {
+        const tmpDir = createRepo();
+        fs.writeFileSync(path.join(tmpDir, '.eslintrc.json'), JSON.stringify({ root: true, rules: { 'no-console': 'error' } }));
+        git(tmpDir, 'add', '-A');
+        git(tmpDir, 'commit', '-qm', 'init');
+
+        fs.writeFileSync(path.join(tmpDir, 'a.js'), 'console.log(1);\n');
+        fs.writeFileSync(path.join(tmpDir, 'README.md'), '# Docs\n');
+
+        const run = (...args) => execFileSync(process.execPath, [CLI, '--since', 'HEAD', '--no-color', ...args], {
+            cwd: tmpDir,
+            encoding: 'utf8',
+            env: { ...process.env, ESLINT_USE_FLAT_CONFIG: 'false' },
+            stdio: 'pipe',
+        });
+
+        // Neither README.md nor the new baseline is parsed as JavaScript
+        run('--update');
+        assert.deepStrictEqual(Object.keys(new Baseline({ cwd: tmpDir }).load()), ['a.js']);
+        assert.doesNotThrow(() => run());
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should only report unmatched entries of the linted files', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const entry = { ruleId: 'no-console', line: 1, column: 1, message: 'Unexpected console statement.' };
+        new Baseline({ cwd: tmpDir }).save({ 'a.js': [entry], 'b.js': [entry] });
+
+        const results = [{ filePath: path.join(tmpDir, 'a.js'), messages: [] }];
+        const scoped = createFormatter({ color: false, reportUnmatched: true, scoped: true })(results, { cwd: tmpDir });
+        assert.ok(scoped.output.includes('a.js'));
+        assert.ok(!scoped.output.includes('b.js'));
+        assert.ok(scoped.output.includes('1 baseline errors fixed'));
+
+        const full = createFormatter({ color: false, reportUnmatched: true })(results, { cwd: tmpDir });
+        assert.ok(full.output.includes('b.js'));
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+});
@@ -0,0 +1,49 @@
+/**
+ * Shared test helpers
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { execFileSync } = require('child_process');
+
+/**
+ * Run git in a repository
+ * @param {string} cwd
+ * @param {...string} args
+ * @returns {string}
+ */
+function git(cwd, ...args) {
+    return execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], {
+        cwd,
+        encoding: 'utf8',
+    });
+}
+
+/**
+ * Create a temporary git repository
+ * @returns {string}
+ */
+function createRepo() {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-git-'));
+    git(tmpDir, 'init', '-q');
+    return tmpDir;
+}
+
+const consoleEntry = (line) => ({
+    ruleId: 'no-console', line, column: 1, message: 'Unexpected console statement.', severity: 2,
+});
+
+const debuggerEntry = (line) => ({
+    ruleId: 'no-debugger', line, column: 1, message: 'Unexpected debugger.', severity: 2,
+});
+
+const consoleEntries = (count) => Array.from({ length: count }, (_, index) => consoleEntry(index + 1));
+
+module.exports = {
+    git,
+    createRepo,
+    consoleEntry,
+    debuggerEntry,
+    consoleEntries,
+};
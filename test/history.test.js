@@ -0,0 +1,61 @@
+/**
+ * Tests for baseline history
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const { Baseline } = require('../src/core/baseline');
+const { Reporter } = require('../src/core/reporter');
+const { getHistory, historyToCsv } = require('../src/core/history');
+const { git, createRepo, consoleEntry, debuggerEntry } = require('./helpers');
+
+describe('Baseline History', () => {
+    test('should compute the statistics of each commit of the baseline', () => {
+        const tmpDir = createRepo();
+
+        const baseline = new Baseline({ cwd: tmpDir, splitBy: 'rule' });
+        baseline.save({ 'a.js': [consoleEntry(1), consoleEntry(2), debuggerEntry(3)] });
+        git(tmpDir, 'add', '-A');
+        git(tmpDir, 'commit', '-qm', 'Generate baseline');
+
+        fs.writeFileSync(path.join(tmpDir, 'a.js'), '');
+        git(tmpDir, 'add', '-A');
+        git(tmpDir, 'commit', '-qm', 'Unrelated');
+
+        baseline.save({ 'a.js': [consoleEntry(1)] });
+        git(tmpDir, 'add', '-A');
+        git(tmpDir, 'commit', '-qm', 'Fix errors, prune');
+
+        const history = getHistory(new Baseline({ cwd: tmpDir, splitBy: 'rule' }));
+        assert.deepStrictEqual(history.map(({ subject, totalErrors, rules }) => ({ subject, totalErrors, rules })), [
+            { subject: 'Generate baseline', totalErrors: 3, rules: { 'no-console': 2, 'no-debugger': 1 } },
+            { subject: 'Fix errors, prune', totalErrors: 1, rules: { 'no-console': 1 } },
+        ]);
+
+        const csv = historyToCsv(history).split('\n');
+        assert.strictEqual(csv[0], 'commit,date,subject,total,files,no-console,no-debugger');
+        assert.ok(csv[2].endsWith(',"Fix errors, prune",1,1,1,0'));
+
+        const output = new Reporter({ color: false }).formatHistory(history);
+        assert.ok(output.includes('Baseline history (2 commits)'));
+        assert.ok(output.includes('-2  '));
+        assert.ok(output.includes('no-debugger  1 → 0 (-1)'));
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should fail outside a git repository', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+
+        assert.throws(() => getHistory(new Baseline({ cwd: tmpDir })), /not in a git repository/);
+        assert.ok(new Reporter({ color: false }).formatHistory([]).includes('No commits'));
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+});
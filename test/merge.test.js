@@ -0,0 +1,132 @@
+/**
+ * Tests for the baseline merge driver
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { execFileSync } = require('child_process');
+
+const { Baseline } = require('../src/core/baseline');
+const { mergeBaselineData, mergeManifests, mergeFiles, installMergeDriver } = require('../src/core/merge');
+
+/**
+ * Create a line entry
+ * @param {number} line
+ * @param {string} [ruleId]
+ * @returns {Object}
+ */
+function entry(line, ruleId = 'no-console') {
+    return { ruleId, line, column: 1, message: 'Unexpected console' };
+}
+
+describe('Merge Driver', () => {
+    test('should keep removals of both sides and union additions', () => {
+        const base = { 'a.js': [entry(1), entry(2), entry(3)] };
+        const ours = { 'a.js': [entry(1), entry(3)], 'b.js': [entry(7)] };
+        const theirs = { 'a.js': [entry(2), entry(3), entry(4)], 'b.js': [entry(7)] };
+
+        const merged = mergeBaselineData(base, ours, theirs);
+
+        assert.deepStrictEqual(merged['a.js'].map((e) => e.line).sort(), [3, 4]);
+
+        // Added on both sides: kept once
+        assert.strictEqual(merged['b.js'].length, 1);
+    });
+
+    test('should merge count entries', () => {
+        const countEntry = (count) => ({ ruleId: 'no-console', message: 'Unexpected console', count });
+        const base = { 'a.js': [countEntry(5)] };
+
+        const merged = mergeBaselineData(base, { 'a.js': [countEntry(3)] }, { 'a.js': [countEntry(6)] });
+        assert.strictEqual(merged['a.js'][0].count, 4);
+
+        // Fixed everywhere: the file disappears
+        assert.deepStrictEqual(mergeBaselineData(base, { 'a.js': [countEntry(2)] }, {}), {});
+    });
+
+    test('should merge split baseline manifests', () => {
+        const base = { files: ['a.json', 'b.json'], checksums: { 'a.json': '1', 'b.json': '2' } };
+        const ours = { files: ['a.json'], checksums: { 'a.json': '1' } };
+        const theirs = { files: ['a.json', 'b.json', 'c.json'], checksums: { 'a.json': '1', 'b.json': '3', 'c.json': '4' } };
+
+        const merged = mergeManifests(base, ours, theirs);
+
+        assert.deepStrictEqual(merged.files, ['a.json', 'c.json']);
+        assert.deepStrictEqual(merged.checksums, { 'a.json': '1' });
+    });
+
+    test('should write the merge result to the ours file', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const write = (name, data) => fs.writeFileSync(path.join(tmpDir, name), JSON.stringify(data));
+
+        // Base still in the version 1 format
+        write('base', { 'a.js': [entry(1), entry(2)] });
+        write('ours', { version: 2, files: { 'a.js': [entry(2)] } });
+        write('theirs', { version: 2, files: { 'a.js': [entry(1), entry(2), entry(5)] } });
+
+        mergeFiles('base', 'ours', 'theirs', { cwd: tmpDir });
+
+        const result = JSON.parse(fs.readFileSync(path.join(tmpDir, 'ours'), 'utf8'));
+        assert.strictEqual(result.version, 2);
+        assert.deepStrictEqual(result.files['a.js'].map((e) => e.line), [2, 5]);
+
+        // Invalid input: ours is left untouched
+        fs.writeFileSync(path.join(tmpDir, 'theirs'), '<<<<<<< conflict');
+        assert.throws(() => mergeFiles('base', 'ours', 'theirs', { cwd: tmpDir }));
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(tmpDir, 'ours'), 'utf8')), result);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should keep the matching mode of the merged baselines', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const write = (name, count) => fs.writeFileSync(path.join(tmpDir, name), JSON.stringify({
+            version: 2,
+            matching: 'count',
+            files: { 'a.js': [{ ruleId: 'no-console', message: 'Unexpected console', count }] },
+        }));
+
+        write('base', 5);
+        write('ours', 3);
+        write('theirs', 6);
+
+        mergeFiles('base', 'ours', 'theirs', { cwd: tmpDir });
+
+        const result = JSON.parse(fs.readFileSync(path.join(tmpDir, 'ours'), 'utf8'));
+        assert.strictEqual(result.matching, 'count');
+        assert.deepStrictEqual(result.files['a.js'], [{ ruleId: 'no-console', message: 'Unexpected console', count: 4 }]);
+
+        // Loaded without --matching, the merged baseline still matches by count
+        const baseline = new Baseline({ cwd: tmpDir, baselineFile: 'ours' });
+        baseline.load();
+        assert.strictEqual(baseline.matching, 'count');
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should install the driver once', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        execFileSync('git', ['init', '-q'], { cwd: tmpDir });
+
+        const baseline = new Baseline({ cwd: tmpDir, splitByRule: true });
+        installMergeDriver(tmpDir, baseline);
+        const { added } = installMergeDriver(tmpDir, baseline);
+
+        assert.deepStrictEqual(added, []);
+        assert.strictEqual(
+            fs.readFileSync(path.join(tmpDir, '.gitattributes'), 'utf8'),
+            '.eslintbaseline/**/*.json merge=eslint-baseline\n'
+        );
+
+        const driver = execFileSync('git', ['config', 'merge.eslint-baseline.driver'], { cwd: tmpDir, encoding: 'utf8' });
+        assert.ok(driver.includes('merge-driver %O %A %B'));
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+});
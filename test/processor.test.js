@@ -0,0 +1,202 @@
+/**
+ * Tests for the ESLint processor
+ */
+
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { execFileSync } = require('child_process');
+
+const { Baseline } = require('../src/core/baseline');
+const plugin = require('../src/index');
+const {
+    baselineProcessor,
+    createProcessor,
+    getBaseline,
+    invalidateBaseline,
+    resetBaseline,
+} = require('../src/processor');
+const { consoleEntry } = require('./helpers');
+
+/**
+ * Lint a file through the processor
+ * @param {string} filename
+ * @param {Array} messages - Messages reported by ESLint
+ * @param {Object} [processor]
+ * @returns {Array} Messages left after the baseline
+ */
+function lint(filename, messages, processor = baselineProcessor) {
+    processor.preprocess('', filename);
+    return processor.postprocess([messages], filename);
+}
+
+describe('Processor Reloading', () => {
+    afterEach(() => {
+        resetBaseline();
+    });
+
+    test('should reload a baseline that changed on disk', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const filename = path.join(tmpDir, 'a.js');
+        new Baseline({ cwd: tmpDir }).save({ 'a.js': [consoleEntry(1)] });
+
+        assert.deepStrictEqual(lint(filename, [consoleEntry(2)]), [consoleEntry(2)]);
+
+        new Baseline({ cwd: tmpDir }).save({ 'a.js': [consoleEntry(1), consoleEntry(2)] });
+        assert.deepStrictEqual(lint(filename, [consoleEntry(2)]), []);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should load a baseline again after invalidation', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const filename = path.join(tmpDir, 'a.js');
+        new Baseline({ cwd: tmpDir }).save({ 'a.js': [consoleEntry(1)] });
+
+        const first = getBaseline({ filename });
+        assert.strictEqual(getBaseline({ filename }), first);
+
+        invalidateBaseline(first.getBaselinePath());
+        assert.notStrictEqual(getBaseline({ filename }), first);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should find a baseline created after a file was linted without one', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const filename = path.join(tmpDir, 'a.js');
+        mock.timers.enable({ apis: ['Date'] });
+
+        assert.deepStrictEqual(lint(filename, [consoleEntry(1)]), [consoleEntry(1)]);
+
+        new Baseline({ cwd: tmpDir }).save({ 'a.js': [consoleEntry(1)] });
+        mock.timers.tick(1000);
+        assert.deepStrictEqual(lint(filename, [consoleEntry(1)]), []);
+
+        mock.timers.reset();
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+});
+
+describe('Processor Matching', () => {
+    afterEach(() => {
+        resetBaseline();
+    });
+
+    test('should match every lint of a file against its full counts', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const filename = path.join(tmpDir, 'a.js');
+        new Baseline({ cwd: tmpDir }).save({ 'a.js': [consoleEntry(1), consoleEntry(1)] });
+
+        assert.deepStrictEqual(lint(filename, [consoleEntry(1), consoleEntry(1)]), []);
+        assert.deepStrictEqual(lint(filename, [consoleEntry(1), consoleEntry(1)]), []);
+        assert.deepStrictEqual(lint(filename, [consoleEntry(1), consoleEntry(1), consoleEntry(1)]), [
+            consoleEntry(1),
+        ]);
+
+        // Unmatched entries reflect the last lint of each file
+        lint(filename, [consoleEntry(1)]);
+        assert.deepStrictEqual(getBaseline({ filename }).getUnmatched().map((entry) => entry.unmatchedCount), [1]);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should undo the pattern matches of a file only', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        fs.writeFileSync(path.join(tmpDir, '.eslintbaselinerc.json'), JSON.stringify({
+            ignoreErrors: [{ message: '^Unexpected console', count: 2 }],
+        }));
+        new Baseline({ cwd: tmpDir }).save({ 'other.js': [consoleEntry(9)] });
+
+        const a = path.join(tmpDir, 'a.js');
+        const b = path.join(tmpDir, 'b.js');
+
+        assert.deepStrictEqual(lint(a, [consoleEntry(1)]), []);
+        assert.deepStrictEqual(lint(a, [consoleEntry(1)]), []);
+        assert.deepStrictEqual(lint(b, [consoleEntry(1)]), []);
+        assert.deepStrictEqual(lint(b, [consoleEntry(1), consoleEntry(2)]), [consoleEntry(2)]);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+});
+
+describe('Processor Factory', () => {
+    afterEach(() => {
+        resetBaseline();
+    });
+
+    test('should give each processor its own baseline and options', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const filename = path.join(tmpDir, 'a.js');
+        new Baseline({ cwd: tmpDir }).save({ 'a.js': [consoleEntry(1)] });
+        new Baseline({ cwd: tmpDir, baselineFile: 'legacy.json', matching: 'count' })
+            .save({ 'a.js': [consoleEntry(1), consoleEntry(5)] });
+
+        const nearest = createProcessor();
+        const legacy = createProcessor({ baselineFile: path.join(tmpDir, 'legacy.json'), matching: 'count' });
+
+        assert.deepStrictEqual(lint(filename, [consoleEntry(2)], nearest), [consoleEntry(2)]);
+        assert.deepStrictEqual(lint(filename, [consoleEntry(2), consoleEntry(3)], legacy), []);
+        assert.deepStrictEqual(lint(filename, [consoleEntry(1)], nearest), []);
+
+        assert.throws(() => createProcessor({ matching: 'fuzzy' }), /Unknown matching mode/);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should name processors after their options', () => {
+        assert.strictEqual(baselineProcessor.meta.name, 'baseline');
+        assert.strictEqual(createProcessor().meta.name, 'baseline');
+
+        const legacy = createProcessor({ baselineFile: 'legacy.json' });
+        assert.notStrictEqual(legacy.meta.name, 'baseline');
+        assert.strictEqual(createProcessor({ baselineFile: 'legacy.json' }).meta.name, legacy.meta.name);
+        assert.notStrictEqual(createProcessor({ baselineFile: 'legacy.json', matching: 'count' }).meta.name, legacy.meta.name);
+        assert.strictEqual(createProcessor({ splitByRule: true }).meta.name, createProcessor({ splitBy: 'rule' }).meta.name);
+    });
+
+    test('should not keep the baselines of dropped processors', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        new Baseline({ cwd: tmpDir }).save({ 'a.js': [consoleEntry(1)] });
+
+        // Run with --expose-gc in a separate process
+        const script = `
+            const { Baseline } = require(${JSON.stringify(require.resolve('../src/core/baseline'))});
+            const { createProcessor } = require(${JSON.stringify(require.resolve('../src/processor'))});
+            const load = Baseline.prototype.load;
+            let loaded;
+            Baseline.prototype.load = function () {
+                loaded = new WeakRef(this);
+                return load.call(this);
+            };
+            (async () => {
+                createProcessor({ matching: 'line' }).preprocess('', ${JSON.stringify(path.join(tmpDir, 'a.js'))});
+                await new Promise(setImmediate);
+                gc();
+                await new Promise(setImmediate);
+                process.stdout.write(String(loaded.deref() === undefined));
+            })();
+        `;
+
+        assert.strictEqual(execFileSync(process.execPath, ['--expose-gc', '-e', script], { encoding: 'utf8' }), 'true');
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should provide a flat recommended config', () => {
+        assert.strictEqual(plugin.configs.recommended.plugins.baseline, plugin);
+        assert.strictEqual(plugin.configs.recommended.processor, 'baseline/baseline');
+        assert.strictEqual(plugin.processors.baseline, baselineProcessor);
+        assert.strictEqual(plugin.createProcessor, createProcessor);
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for ratchet mode
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const { Baseline } = require('../src/core/baseline');
+const { createFormatter } = require('../src/formatter');
+const { checkRatchet, compareRuleStats } = require('../src/core/ratchet');
+const { git, createRepo, consoleEntry } = require('./helpers');
+
+describe('Ratchet Update', () => {
+    test('should remove fixed entries and refuse new errors', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        new Baseline({ cwd: tmpDir }).save({
+            'a.js': [{ ...consoleEntry(1), ticket: 'WEB-1' }, consoleEntry(2)],
+        });
+
+        const { output, exitCode } = createFormatter({ update: true, ratchet: true, color: false })([
+            { filePath: path.join(tmpDir, 'a.js'), messages: [consoleEntry(1), consoleEntry(5)] },
+            { filePath: path.join(tmpDir, 'b.js'), messages: [consoleEntry(3)] },
+        ], { cwd: tmpDir });
+
+        assert.strictEqual(exitCode, 1);
+        assert.ok(output.includes('not added to the baseline'));
+        assert.ok(output.includes('5:1  error'));
+        assert.ok(output.includes('b.js'));
+        assert.ok(output.includes('2 new errors refused'));
+
+        const baseline = new Baseline({ cwd: tmpDir });
+        assert.deepStrictEqual(baseline.load(), { 'a.js': [{ ...consoleEntry(1), ticket: 'WEB-1' }] });
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should keep entries of renamed files', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        new Baseline({ cwd: tmpDir }).save({ 'lib/b.js': [consoleEntry(1), consoleEntry(2)] });
+
+        const renames = new Map([['lib/b.js', 'lib/c.js']]);
+        const { output, exitCode } = createFormatter({ update: true, ratchet: true, renames, color: false })([
+            { filePath: path.join(tmpDir, 'lib/c.js'), messages: [consoleEntry(1), consoleEntry(2)] },
+        ], { cwd: tmpDir });
+
+        assert.strictEqual(exitCode, 0);
+        assert.ok(!output.includes('not added to the baseline'));
+        assert.deepStrictEqual(new Baseline({ cwd: tmpDir }).load(), { 'lib/c.js': [consoleEntry(1), consoleEntry(2)] });
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should empty an existing baseline but not create one', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const formatter = createFormatter({ update: true, ratchet: true, color: false });
+
+        const created = formatter([
+            { filePath: path.join(tmpDir, 'a.js'), messages: [consoleEntry(1)] },
+        ], { cwd: tmpDir });
+        assert.strictEqual(created.exitCode, 1);
+        assert.ok(!created.output.includes('Failed to save'));
+        assert.strictEqual(new Baseline({ cwd: tmpDir }).exists(), false);
+
+        new Baseline({ cwd: tmpDir }).save({ 'a.js': [consoleEntry(1)] });
+        const emptied = formatter([{ filePath: path.join(tmpDir, 'a.js'), messages: [] }], { cwd: tmpDir });
+        assert.strictEqual(emptied.exitCode, 0);
+        assert.deepStrictEqual(new Baseline({ cwd: tmpDir }).load(), {});
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+});
+
+describe('Ratchet Check', () => {
+    test('should report rules with more entries than at a git revision', () => {
+        const tmpDir = createRepo();
+
+        const baseline = new Baseline({ cwd: tmpDir, splitBy: 'rule' });
+        baseline.save({
+            'a.js': [consoleEntry(1), { ruleId: 'no-debugger', line: 2, message: 'Unexpected debugger.' }],
+        });
+        git(tmpDir, 'add', '-A');
+        git(tmpDir, 'commit', '-qm', 'init');
+
+        assert.deepStrictEqual(checkRatchet(new Baseline({ cwd: tmpDir, splitBy: 'rule' }), 'HEAD'), []);
+
+        baseline.save({ 'a.js': [consoleEntry(1), consoleEntry(4)] });
+        assert.deepStrictEqual(checkRatchet(new Baseline({ cwd: tmpDir, splitBy: 'rule' }), 'HEAD'), [
+            { ruleId: 'no-console', before: 1, after: 2 },
+        ]);
+
+        assert.throws(() => checkRatchet(baseline, 'no-such-ref'), /Unknown git revision/);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should treat a baseline missing at the revision as empty', () => {
+        assert.deepStrictEqual(compareRuleStats({}, { 'no-console': 2 }), [
+            { ruleId: 'no-console', before: 0, after: 2 },
+        ]);
+        assert.deepStrictEqual(compareRuleStats({ 'no-console': 2 }, { 'no-console': 1 }), []);
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests for baseline file formats
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const { Baseline } = require('../src/core/baseline');
+const { getSerializer } = require('../src/core/serializers');
+
+const data = {
+    'src/a.js': [
+        { ruleId: 'no-console', line: 1, column: 1, message: 'Unexpected console statement.', severity: 2 },
+        { ruleId: '@typescript-eslint/no-explicit-any', line: 4, column: 10, message: 'Unexpected any. Specify a "type": here.', severity: 1 },
+    ],
+    'src/dir: with colon/b.js': [
+        { ruleId: 'no-undef', line: 2, column: 3, message: "'x' is not defined.\nSecond line \\ backslash", severity: 2 },
+    ],
+};
+
+describe('Serializers', () => {
+    for (const [format, fileName] of [
+        ['json', '.eslintbaseline.json'],
+        ['ndjson', '.eslintbaseline.ndjson'],
+        ['yaml', '.eslintbaseline.yaml'],
+    ]) {
+        test(`should round-trip the ${format} format`, () => {
+            const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+
+            new Baseline({ cwd: tmpDir, baselineFile: fileName }).save(structuredClone(data));
+
+            const baseline = new Baseline({ cwd: tmpDir, baselineFile: fileName });
+            assert.strictEqual(baseline.serializer.name, format);
+            assert.deepStrictEqual(baseline.load(), data);
+            assert.strictEqual(baseline.version, 2);
+
+            // Cleanup
+            fs.rmSync(tmpDir, { recursive: true });
+        });
+    }
+
+    test('should write one line per entry in ndjson', () => {
+        const text = getSerializer('ndjson').serialize({ version: 2, files: data });
+        const lines = text.trim().split('\n');
+
+        assert.strictEqual(lines.length, 4);
+        assert.deepStrictEqual(JSON.parse(lines[0]), { version: 2 });
+        assert.strictEqual(JSON.parse(lines[1]).file, 'src/a.js');
+    });
+
+    test('should round-trip the compact format without columns and severities', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+
+        new Baseline({ cwd: tmpDir, baselineFile: 'baseline.txt' }).save(structuredClone(data));
+
+        const text = fs.readFileSync(path.join(tmpDir, 'baseline.txt'), 'utf8');
+        assert.ok(text.includes('src/a.js:1:no-console:Unexpected console statement.\n'));
+
+        const loaded = new Baseline({ cwd: tmpDir, baselineFile: 'baseline.txt' }).load();
+        assert.deepStrictEqual(loaded['src/dir: with colon/b.js'], [
+            { ruleId: 'no-undef', line: 2, message: "'x' is not defined.\nSecond line \\ backslash" },
+        ]);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should store count entries in the compact format', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const options = { cwd: tmpDir, baselineFile: 'baseline.txt', matching: 'count' };
+
+        new Baseline(options).save({
+            'a.js': [
+                { ruleId: 'no-console', line: 1, column: 1, message: 'Unexpected console' },
+                { ruleId: 'no-console', line: 2, column: 1, message: 'Unexpected console' },
+            ],
+        });
+
+        assert.ok(fs.readFileSync(path.join(tmpDir, 'baseline.txt'), 'utf8').includes('a.js:*2:no-console:'));
+        assert.strictEqual(new Baseline(options).load()['a.js'][0].count, 2);
+
+        // The matching mode is kept in the header
+        const withoutMode = new Baseline({ cwd: tmpDir, baselineFile: 'baseline.txt' });
+        withoutMode.load();
+        assert.strictEqual(withoutMode.matching, 'count');
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should refuse what the compact format can\'t store', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+
+        assert.throws(() => new Baseline({ cwd: tmpDir, baselineFile: 'baseline.txt', matching: 'context' }),
+            /Context matching needs fingerprints/);
+        assert.throws(() => new Baseline({ cwd: tmpDir, format: 'compact', matching: 'context' }),
+            /Context matching needs fingerprints/);
+
+        const errors = [];
+        const originalError = console.error;
+        console.error = (message) => errors.push(message);
+        try {
+            new Baseline({ cwd: tmpDir, baselineFile: 'baseline.txt' }).save({
+                'a.js': [{ ruleId: 'no-console', line: 1, message: 'Unexpected console', reason: 'Legacy logger' }],
+            });
+        } finally {
+            console.error = originalError;
+        }
+
+        assert.strictEqual(errors.length, 1);
+        assert.match(errors[0], /doesn't store entry metadata: dropped from 1 entries/);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should use the format option over the extension', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-'));
+        const baseline = new Baseline({ cwd: tmpDir, splitByRule: true, format: 'yaml' });
+
+        baseline.save(structuredClone(data));
+
+        const baselineDir = path.join(tmpDir, '.eslintbaseline');
+        assert.ok(fs.existsSync(path.join(baselineDir, 'no-console.yaml')));
+        assert.ok(fs.readFileSync(path.join(baselineDir, 'no-console.yaml'), 'utf8').startsWith('$schema: '));
+
+        const loaded = new Baseline({ cwd: tmpDir, splitByRule: true, format: 'yaml' });
+        loaded.load();
+        assert.strictEqual(loaded.data['src/a.js'].length, 2);
+        assert.deepStrictEqual(loaded.data['src/dir: with colon/b.js'], data['src/dir: with colon/b.js']);
+        assert.deepStrictEqual(loaded.manifestIssues, []);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should reject unknown formats', () => {
+        assert.throws(() => new Baseline({ format: 'toml' }), /Unknown baseline format/);
+    });
+});
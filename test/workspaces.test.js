@@ -0,0 +1,141 @@
+/**
+ * Tests for workspace (monorepo) support
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const { createFormatter } = require('../src/formatter');
+const { createBaselineResolver, groupResultsByBaseline } = require('../src/core/workspaces');
+
+/**
+ * Create a monorepo with packages a and b
+ * @returns {string}
+ */
+function createMonorepo() {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-baseline-ws-'));
+
+    for (const dir of ['', 'packages/a', 'packages/b']) {
+        fs.mkdirSync(path.join(tmpDir, dir, 'src'), { recursive: true });
+        fs.writeFileSync(path.join(tmpDir, dir, 'package.json'), '{}');
+    }
+
+    return tmpDir;
+}
+
+/**
+ * Create an ESLint result with a single no-console error
+ * @param {string} filePath
+ * @param {number} [line]
+ * @returns {Object}
+ */
+function consoleResult(filePath, line = 1) {
+    return {
+        filePath,
+        messages: [{ ruleId: 'no-console', line, column: 1, message: 'Unexpected console statement.', severity: 2 }],
+    };
+}
+
+describe('Workspaces', () => {
+    test('should group files by package baseline', () => {
+        const tmpDir = createMonorepo();
+
+        // Package b has a baseline in src/, closer than its package root
+        fs.writeFileSync(path.join(tmpDir, 'packages/b/src/.eslintbaseline.json'), '{}');
+
+        const resolve = createBaselineResolver({ cwd: tmpDir });
+        const groups = groupResultsByBaseline([
+            consoleResult(path.join(tmpDir, 'packages/a/src/x.js')),
+            consoleResult(path.join(tmpDir, 'packages/b/src/y.js')),
+            consoleResult(path.join(tmpDir, 'src/z.js')),
+        ], resolve);
+
+        assert.deepStrictEqual([...groups.keys()], [
+            path.join(tmpDir, '.eslintbaseline.json'),
+            path.join(tmpDir, 'packages/a/.eslintbaseline.json'),
+            path.join(tmpDir, 'packages/b/src/.eslintbaseline.json'),
+        ]);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should update and check one baseline per package', () => {
+        const tmpDir = createMonorepo();
+        const fileA = path.join(tmpDir, 'packages/a/src/x.js');
+        const fileB = path.join(tmpDir, 'packages/b/src/y.js');
+
+        const update = createFormatter({ update: true, workspaces: true, color: false });
+        const updateResult = update([consoleResult(fileA), consoleResult(fileB)], { cwd: tmpDir });
+
+        assert.strictEqual(updateResult.exitCode, 0);
+        assert.ok(updateResult.output.includes('packages/a/.eslintbaseline.json'));
+
+        // Keys are relative to each package, no baseline for the root package
+        const savedA = JSON.parse(fs.readFileSync(path.join(tmpDir, 'packages/a/.eslintbaseline.json'), 'utf8'));
+        assert.deepStrictEqual(Object.keys(savedA.files), ['src/x.js']);
+        assert.ok(fs.existsSync(path.join(tmpDir, 'packages/b/.eslintbaseline.json')));
+        assert.ok(!fs.existsSync(path.join(tmpDir, '.eslintbaseline.json')));
+
+        const check = createFormatter({ workspaces: true, color: false });
+        const checkResult = check([consoleResult(fileA), consoleResult(fileB, 5)], { cwd: tmpDir });
+
+        assert.strictEqual(checkResult.exitCode, 1);
+        assert.ok(checkResult.output.includes('1 errors ignored'));
+        assert.ok(checkResult.output.includes('By package:'));
+        assert.ok(checkResult.output.includes('packages/b/.eslintbaseline.json  1 new, 0 ignored, 1 fixed'));
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should not list clean packages without a baseline', () => {
+        const tmpDir = createMonorepo();
+        const linted = [
+            consoleResult(path.join(tmpDir, 'packages/a/src/x.js')),
+            consoleResult(path.join(tmpDir, 'packages/b/src/y.js')),
+            { filePath: path.join(tmpDir, 'src/z.js'), messages: [] },
+        ];
+
+        createFormatter({ update: true, workspaces: true, color: false })(linted, { cwd: tmpDir });
+        assert.ok(!fs.existsSync(path.join(tmpDir, '.eslintbaseline.json')));
+
+        const check = createFormatter({ workspaces: true, color: false });
+        const { output, exitCode } = check(linted, { cwd: tmpDir });
+
+        assert.strictEqual(exitCode, 0);
+        assert.ok(output.includes('packages/a/.eslintbaseline.json  0 new, 1 ignored, 0 fixed'));
+        assert.ok(!output.includes('\n  .eslintbaseline.json'));
+
+        // New errors still show up under the package
+        const failing = check([...linted.slice(0, 2), consoleResult(linted[2].filePath)], { cwd: tmpDir });
+        assert.strictEqual(failing.exitCode, 1);
+        assert.ok(failing.output.includes('\n  .eslintbaseline.json  1 new, 0 ignored, 0 fixed'));
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    test('should only update the linted files when run inside a package', () => {
+        const tmpDir = createMonorepo();
+        const pkgDir = path.join(tmpDir, 'packages/a');
+        fs.writeFileSync(path.join(pkgDir, '.eslintbaseline.json'), JSON.stringify({
+            version: 2,
+            files: {
+                'lib/other.js': [{ ruleId: 'no-console', line: 1, column: 1, message: 'Unexpected console statement.' }],
+            },
+        }));
+
+        const update = createFormatter({ update: true, workspaces: true, color: false });
+        update([consoleResult(path.join(pkgDir, 'src/x.js'))], { cwd: path.join(pkgDir, 'src') });
+
+        const saved = JSON.parse(fs.readFileSync(path.join(pkgDir, '.eslintbaseline.json'), 'utf8'));
+        assert.deepStrictEqual(Object.keys(saved.files).sort(), ['lib/other.js', 'src/x.js']);
+
+        // Cleanup
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+});